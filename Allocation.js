@@ -0,0 +1,163 @@
+/**
+ * Partial-time assignments.
+ * The optional "Allocation %" column in the source sheet gives the share of a person's time an assignment takes.
+ * Overlapping assignments whose allocations add up to at most 100% share a row on the people timeline; where they
+ * overlap, the row shows one combined block listing each assignment with its percentage.
+ */
+
+// Allocation assumed when the column is missing or blank
+const FULL_ALLOCATION = 100;
+
+// Accepted headers for the allocation column, in order of preference
+const ALLOCATION_HEADERS = ["Allocation %", "Allocation"];
+
+/**
+ * Finds the allocation column in a header row.
+ * @param {Array<*>} headerRow The header row of the source sheet.
+ * @returns {number} The zero-based column index, or -1 if the sheet has no allocation column.
+ */
+function findAllocationColumn(headerRow) {
+  for (const header of ALLOCATION_HEADERS) {
+    const col = headerRow.indexOf(header);
+    if (col !== -1) {
+      return col;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses an allocation cell. Accepts percent-formatted cells (0.2), plain numbers (20) and text ("20%").
+ * Numbers up to 1 are read as fractions, since that is how Sheets returns percent-formatted cells.
+ * @param {*} value The raw cell value.
+ * @returns {?number} The allocation in percent, FULL_ALLOCATION for a blank cell, or null if the value is invalid.
+ */
+function parseAllocation(value) {
+  if (value === "" || value === null || value === undefined) {
+    return FULL_ALLOCATION;
+  }
+
+  let percent;
+  if (typeof value === "number") {
+    percent = value <= 1 ? value * 100 : value;
+  } else {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*%?$/);
+    if (!match) {
+      return null;
+    }
+    percent = Number(match[1]);
+  }
+
+  percent = Math.round(percent * 10) / 10; // Avoid floating point noise such as 20.000000000000004
+  if (!(percent > 0) || percent > FULL_ALLOCATION) {
+    return null;
+  }
+  return percent;
+}
+
+/**
+ * Appends the allocation to a bar label when the assignment is part-time, e.g. "Support rotation (20%)".
+ * @param {*} text The bar label.
+ * @param {number} allocation The allocation in percent.
+ * @returns {string} The label.
+ */
+function formatAllocationLabel(text, allocation) {
+  const label = text === null || text === undefined ? "" : String(text);
+  return allocation === undefined || allocation >= FULL_ALLOCATION ? label : `${label} (${allocation}%)`;
+}
+
+/**
+ * Sums the allocations of the assignments active on a day.
+ * @param {Array<{allocation: number, startDate: Date, endDate: Date}>} assignments The assignments.
+ * @param {string} dateIso The day as a YYYY-MM-DD key.
+ * @returns {number} The total allocation in percent.
+ */
+function getDailyAllocation(assignments, dateIso) {
+  return assignments.reduce((total, assignment) => {
+    const isActive = toDateKey(assignment.startDate) <= dateIso && toDateKey(assignment.endDate) >= dateIso;
+    return isActive ? total + assignment.allocation : total;
+  }, 0);
+}
+
+/**
+ * Finds the highest total allocation on any day covered by the assignments.
+ * @param {Array<{allocation: number, startDate: Date, endDate: Date}>} assignments The assignments.
+ * @returns {number} The peak total allocation in percent.
+ */
+function getPeakAllocation(assignments) {
+  // The total only changes where an assignment starts, so checking the start days is enough
+  return assignments.reduce((peak, assignment) =>
+    Math.max(peak, getDailyAllocation(assignments, toDateKey(assignment.startDate))), 0);
+}
+
+/**
+ * Packs assignments into rows like packNonOverlapping(), except that an assignment may join a row it overlaps
+ * as long as the row's total allocation stays at or below 100% on every day. Full-time assignments therefore
+ * never share a row with anything they overlap, exactly as before.
+ * @param {Array<{allocation: number, startDate: Date, endDate: Date}>} items The items to pack. Sorted in place by start date.
+ * @returns {Array<Array<Object>>} The rows, each a list of items.
+ */
+function packByAllocation(items) {
+  return packRows(items, (rowItems, item) => getPeakAllocation(rowItems.concat([item])) <= FULL_ALLOCATION);
+}
+
+/**
+ * Draws the items of one packed row. Items that do not overlap are drawn as ordinary bars; where items overlap,
+ * the row is split into blocks at every start and end, and each block lists the items active in it.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The row to draw on.
+ * @param {Array<Object>} rowItems The items in the row, as returned by packByAllocation().
+ * @param {Map<string, number>} dailyDateToSheetColMap Maps YYYY-MM-DD to its sheet column index.
+ * @param {number} totalHeaderColumns The total number of columns in the chart.
+ * @param {function(Object): {text: string, linkUrl: ?string, color: string, note: (string|undefined)}} describe Returns the label, link, color and optional note for an item.
+ * @param {Map<number, string>} [blockedColumns] Holiday and time-off columns the bars leave open, see getBlockedColumns().
+ */
+function drawSharedRow(buffer, row, rowItems, dailyDateToSheetColMap, totalHeaderColumns, describe, blockedColumns) {
+  const blocked = blockedColumns || new Map();
+  const bars = rowItems.map(item => {
+    const columns = getBarColumns(item, dailyDateToSheetColMap, totalHeaderColumns);
+    return { item: item, startCol: columns.startCol, endCol: columns.endCol, bar: describe(item) };
+  });
+
+  // Block boundaries: every column where a bar starts, or the column after one ends
+  const boundaries = Array.from(new Set(bars.reduce((cols, bar) => cols.concat([bar.startCol, bar.endCol + 1]), [])))
+    .sort((a, b) => a - b);
+
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const startCol = boundaries[i];
+    const endCol = boundaries[i + 1] - 1;
+    const activeBars = bars.filter(bar => bar.startCol <= startCol && bar.endCol >= startCol);
+
+    if (activeBars.length === 1) {
+      drawBarAroundBlockedColumns(buffer, row, startCol, endCol, activeBars[0].bar, blocked);
+    } else if (activeBars.length > 1) {
+      // Largest allocation first; its color fills the block
+      activeBars.sort((a, b) => b.item.allocation - a.item.allocation);
+      const links = [];
+      const notes = [];
+      let text = "";
+      activeBars.forEach((bar, index) => {
+        if (index > 0) {
+          text += " + ";
+        }
+        if (bar.bar.linkUrl && bar.bar.text) {
+          links.push({ start: text.length, end: text.length + bar.bar.text.length, url: bar.bar.linkUrl });
+        }
+        text += bar.bar.text;
+        if (bar.bar.note) {
+          notes.push(bar.bar.note);
+        }
+      });
+      // The largest allocation's status styling wins, but an overdue or blocked border on any of them shows
+      const borderedBar = activeBars.find(bar => bar.bar.border) || activeBars[0];
+      drawBarAroundBlockedColumns(buffer, row, startCol, endCol, {
+        text: text,
+        linkUrl: links,
+        color: activeBars[0].bar.color,
+        note: notes.join("\n"),
+        format: activeBars[0].bar.format,
+        border: borderedBar.bar.border
+      }, blocked);
+    }
+  }
+}
@@ -0,0 +1,314 @@
+/**
+ * Export of the plan to iCalendar (RFC 5545) files in Drive.
+ * Each person gets "<person>.ics" with their projects as all-day events spanning the project's dates; the whole team
+ * gets TEAM_CALENDAR_FILE_NAME with everyone's projects. Every file also holds the milestones and, optionally, the
+ * terms as free (transparent) background events. Files are written to ICS_FOLDER_NAME in the user's Drive and
+ * overwritten on the next export.
+ * UIDs are derived from the person and project key (or the milestone or term name) rather than the dates, so
+ * importing a newer export updates the existing events instead of adding copies. Only a project a person has on
+ * several rows (or milestones sharing a name) need the start date to tell them apart, see buildIcsUids().
+ */
+
+// Drive folder the calendar files are written to
+const ICS_FOLDER_NAME = "Team Planning Calendars";
+
+// File holding everyone's events
+const TEAM_CALENDAR_FILE_NAME = "Team.ics";
+
+// Product identifier written to each file
+const ICS_PRODID = "-//Team Planning//Timeline Export//EN";
+
+// Domain part of the event UIDs
+const ICS_UID_DOMAIN = "team-planning";
+
+// Longest content line allowed by RFC 5545, in octets; longer lines are folded
+const ICS_MAX_LINE_OCTETS = 75;
+
+/**
+ * Formats a date as an iCalendar DATE value, using the same date key as the timeline columns.
+ * @param {Date} date The day, at UTC midnight.
+ * @param {number} [offsetDays=0] Days to add, e.g. 1 for the exclusive DTEND of an all-day event.
+ * @returns {string} The date as YYYYMMDD.
+ */
+function formatIcsDate(date, offsetDays) {
+  return toDateKey(addDays(date, offsetDays || 0)).replace(/-/g, "");
+}
+
+/**
+ * Escapes a TEXT property value.
+ * @param {*} value The text.
+ * @returns {string} The escaped text.
+ */
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line so no line is longer than ICS_MAX_LINE_OCTETS, without splitting a UTF-8 character.
+ * @param {string} line The unfolded line.
+ * @returns {string} The folded line, continuation lines starting with a space.
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  let currentOctets = 0;
+  Array.from(line).forEach(character => {
+    const octets = unescape(encodeURIComponent(character)).length;
+    const limit = parts.length === 0 ? ICS_MAX_LINE_OCTETS : ICS_MAX_LINE_OCTETS - 1; // Continuation lines start with a space
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = "";
+      currentOctets = 0;
+    }
+    current += character;
+    currentOctets += octets;
+  });
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Builds a stable event UID from the parts that identify the event.
+ * @param {Array<string>} identity The identifying parts, e.g. ["project", person, key], see buildIcsUids().
+ * @returns {string} The UID.
+ */
+function buildIcsUid(identity) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, identity.join("\u0000"), Utilities.Charset.UTF_8);
+  const hex = digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, "0")).join("");
+  return `${hex}@${ICS_UID_DOMAIN}`;
+}
+
+/**
+ * Builds the UIDs of a list of events, telling apart events with the same identity by their start dates.
+ * An event with an identity of its own keeps a UID without dates, so moving it updates the imported event. Events
+ * sharing an identity (a project a person has on several rows, or milestones with the same name) add their start date,
+ * which belongs to the row: sorting the source sheet or deleting one of them leaves the others' UIDs alone. The
+ * trade-off is that moving such an event's start date, or adding a second row for a project, gives it a new UID, so
+ * the import adds an event and the old one has to be deleted by hand. Events alike down to the start date fall back
+ * to their order.
+ * @param {Array<{startDate: Date}>} items The assignments or milestones; the start date before any clipping is used.
+ * @param {function(Object): Array<string>} getIdentity Gives an item's identifying parts, e.g. ["project", person, key].
+ * @returns {Array<string>} The UIDs, in the order of the items.
+ */
+function buildIcsUids(items, getIdentity) {
+  const idOf = identity => identity.join("\u0000");
+  const counts = new Map();
+  items.forEach(item => counts.set(idOf(getIdentity(item)), (counts.get(idOf(getIdentity(item))) || 0) + 1));
+
+  const occurrences = new Map();
+  return items.map(item => {
+    if (counts.get(idOf(getIdentity(item))) === 1) {
+      return buildIcsUid(getIdentity(item).concat(["1"])); // The "1" keeps the UIDs of exports made before start dates were used
+    }
+    const identity = getIdentity(item).concat([toDateKey(item.originalStartDate || item.startDate)]);
+    occurrences.set(idOf(identity), (occurrences.get(idOf(identity)) || 0) + 1);
+    const occurrence = occurrences.get(idOf(identity));
+    return buildIcsUid(occurrence === 1 ? identity : identity.concat([String(occurrence)]));
+  });
+}
+
+/**
+ * Turns the plan into calendar events.
+ * @param {Array<Object>} assignments The assignments returned by readTimelineAssignments().
+ * @param {Array<Object>} milestones The milestones returned by getMilestoneData().
+ * @param {Array<Object>} terms The terms returned by getTimelineTerms(), or an empty list to leave them out.
+ * @returns {{projectEvents: Array<Object>, sharedEvents: Array<Object>}} The project events, each with its person,
+ *     and the milestone and term events every file gets.
+ */
+function buildCalendarEvents(assignments, milestones, terms) {
+  const projectUids = buildIcsUids(assignments, assignment => ["project", assignment.person, assignment.key || assignment.summary]);
+  const milestoneUids = buildIcsUids(milestones, milestone => ["milestone", String(milestone.name)]);
+
+  const projectEvents = assignments.map((assignment, index) => {
+    const description = [];
+    if (assignment.key) {
+      description.push(`JIRA: ${JIRA_BASE_URL + assignment.key}`);
+    }
+    if (assignment.allocation !== FULL_ALLOCATION) {
+      description.push(`Allocation: ${assignment.allocation}%`);
+    }
+    if (assignment.status) {
+      description.push(`Status: ${assignment.status}`);
+    }
+    return {
+      person: assignment.person,
+      uid: projectUids[index],
+      summary: assignment.summary || assignment.key,
+      description: description.join("\n"),
+      url: assignment.key ? JIRA_BASE_URL + assignment.key : null,
+      startDate: assignment.startDate,
+      endDate: assignment.endDate,
+      isFree: false
+    };
+  });
+
+  const sharedEvents = milestones.map((milestone, index) => ({
+    uid: milestoneUids[index],
+    summary: `Milestone: ${milestone.name}`,
+    description: "",
+    url: null,
+    startDate: milestone.startDate,
+    endDate: milestone.endDate,
+    isFree: true
+  })).concat(terms.map(term => ({
+    uid: buildIcsUid(["term", term.name]),
+    summary: term.name,
+    description: "",
+    url: null,
+    startDate: term.startDate,
+    endDate: term.endDate,
+    isFree: true // Background events: they do not block the calendar
+  })));
+
+  return { projectEvents: projectEvents, sharedEvents: sharedEvents };
+}
+
+/**
+ * Writes events as an iCalendar file.
+ * @param {string} calendarName The calendar name shown by calendar apps.
+ * @param {Array<Object>} events The events, see buildCalendarEvents().
+ * @param {boolean} showPerson Whether to put the person before each project event's summary, for the team file.
+ * @returns {string} The file content.
+ */
+function buildIcsCalendar(calendarName, events, showPerson) {
+  const now = new Date();
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, ""); // e.g. 20250901T120000Z
+  const sequence = Math.floor(now.getTime() / 1000); // Increases with every export, so imports take the newer copy
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICS_PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`
+  ];
+  events.forEach(event => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(event.startDate)}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(event.endDate, 1)}`, // All-day end dates are exclusive
+      `SUMMARY:${escapeIcsText(showPerson && event.person ? `${event.person}: ${event.summary}` : event.summary)}`,
+      `TRANSP:${event.isFree ? "TRANSPARENT" : "OPAQUE"}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    }
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    lines.push("END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Creates or overwrites a file in a Drive folder.
+ * @param {GoogleAppsScript.Drive.Folder} folder The folder.
+ * @param {string} fileName The file name.
+ * @param {string} content The file content.
+ */
+function writeDriveFile(folder, fileName, content) {
+  const existing = folder.getFilesByName(fileName);
+  if (existing.hasNext()) {
+    existing.next().setContent(content);
+  } else {
+    folder.createFile(fileName, content, "text/calendar");
+  }
+}
+
+/**
+ * Fills in the export options. The date window is cleared: the timelines' window would move the start of every
+ * running project to the window's start and drop finished ones, and importing that export would overwrite the
+ * events people already have.
+ * @param {Object} [options] The options passed by the caller, see normalizeTimelineOptions() in Code.js.
+ * @returns {Object} A new options object with every option set and no date window.
+ */
+function normalizeCalendarExportOptions(options) {
+  return normalizeTimelineOptions(Object.assign({}, options, { windowStart: null, windowEnd: null, windowTerm: null }));
+}
+
+/**
+ * Exports the plan in the source sheet to .ics files: one per person and one for the whole team.
+ * @param {string} sourceSheetName The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {Object} [options] Optional settings, see normalizeTimelineOptions() in Code.js. The people filter applies as
+ *     in the timelines; the date window is ignored, see normalizeCalendarExportOptions().
+ * @param {boolean} [includeTerms=false] Whether to add the terms as background events.
+ * @returns {?{folderUrl: string, fileNames: Array<string>}} The folder and the files written, or null if nothing was exported (the user has been told why).
+ */
+function exportPlanToIcs(sourceSheetName, options, includeTerms) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const timelineOptions = normalizeCalendarExportOptions(options);
+
+  const sourceSheet = spreadsheet.getSheetByName(sourceSheetName);
+  if (!sourceSheet) {
+    Logger.log(`Error: Source sheet '${sourceSheetName}' not found.`);
+    showMessage("Error", `Source sheet '${sourceSheetName}' not found.`);
+    return null;
+  }
+
+  const terms = getTimelineTerms(spreadsheet, timelineOptions.termsSheetName);
+  if (!terms) {
+    return null;
+  }
+
+  const skippedRows = reportSourceIssues(spreadsheet, sourceSheet, terms);
+  const assignments = readTimelineAssignments(sourceSheet, timelineOptions, skippedRows);
+  if (!assignments) {
+    return null;
+  }
+  const milestones = timelineOptions.includeMilestones ? getMilestoneData(sourceSheet, skippedRows) : [];
+
+  if (assignments.length === 0 && milestones.length === 0) {
+    Logger.log("No valid project or milestone data found to export.");
+    showMessage("Info", "No valid project or milestone data found to export.");
+    return null;
+  }
+
+  const events = buildCalendarEvents(assignments, milestones, includeTerms ? terms : []);
+  const folders = DriveApp.getFoldersByName(ICS_FOLDER_NAME);
+  const folder = folders.hasNext() ? folders.next() : DriveApp.createFolder(ICS_FOLDER_NAME);
+  const fileNames = [];
+
+  const people = Array.from(new Set(events.projectEvents.map(event => event.person))).sort();
+  people.forEach(person => {
+    const fileName = `${String(person).replace(/[\\/:*?"<>|]/g, "_")}.ics`; // Characters some systems reject in file names
+    const personEvents = events.projectEvents.filter(event => event.person === person);
+    writeDriveFile(folder, fileName, buildIcsCalendar(`${person} - Team Planning`, personEvents.concat(events.sharedEvents), false));
+    fileNames.push(fileName);
+  });
+
+  writeDriveFile(folder, TEAM_CALENDAR_FILE_NAME, buildIcsCalendar("Team Planning", events.projectEvents.concat(events.sharedEvents), true));
+  fileNames.push(TEAM_CALENDAR_FILE_NAME);
+
+  return { folderUrl: folder.getUrl(), fileNames: fileNames };
+}
+
+/**
+ * Menu handler that exports the calendars using the source sheet and options last saved for this document.
+ */
+function exportCalendarsWithSavedSettings() {
+  const settings = getTimelineSettings();
+  let options;
+  try {
+    options = buildTimelineOptions(settings);
+  } catch (err) {
+    showMessage("Error", `The saved settings are invalid: ${err.message} Please open the sidebar to fix them.`);
+    return;
+  }
+  // Merging rewrites the source sheet, so it must not run while a regeneration reads it
+  const result = withTimelineLock(settings, () => mergeSourceSheets(settings.sourceSheetName) &&
+    exportPlanToIcs(settings.sourceSheetName, options, settings.exportTermsToCalendar === true));
+  if (result) {
+    showMessage("Calendar export", `Wrote ${result.fileNames.length} calendar file(s) to the '${ICS_FOLDER_NAME}' folder in your Drive: ${result.folderUrl}`);
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Per-person weekly capacity report.
+ * One row per person and one column per work week (the same weekly buckets as row 2 of the timeline headers),
+ * showing the person's peak total allocation (see Allocation.js) on any working day of that week.
+ * Holidays and the person's PTO are not working days (see Holidays.js); a week without any is shown as "Off".
+ * Weeks above 100% are highlighted, and per-term totals follow the weekly columns in full-time weeks
+ * (the person's allocation summed over their working days in the term, where five days at 100% count as 1).
+ */
+
+// Fill for over-allocated cells
+const OVER_ALLOCATED_COLOR = "#F4CCCC"; // Light red
+
+/**
+ * Computes a person's load for one work week: the highest total allocation of their assignments on any working day.
+ * @param {Array<{allocation: number, startDate: Date, endDate: Date}>} assignments The person's assignments.
+ * @param {Array<string>} weekDateKeys The working days of the week as YYYY-MM-DD keys.
+ * @returns {{peakLoad: number, totalLoad: number}} The peak total allocation in the week and its sum over the working days, in percent.
+ */
+function computeWeeklyLoad(assignments, weekDateKeys) {
+  let peakLoad = 0;
+  let totalLoad = 0;
+  weekDateKeys.forEach(dateIso => {
+    const dailyLoad = getDailyAllocation(assignments, dateIso);
+    peakLoad = Math.max(peakLoad, dailyLoad);
+    totalLoad += dailyLoad;
+  });
+  return { peakLoad: peakLoad, totalLoad: totalLoad };
+}
+
+/**
+ * Builds the capacity report from the source sheet into the destination sheet.
+ * @param {string} sourceSheetName The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {string} destinationSheetName The sheet to (re)generate the report in. Created if it does not exist.
+ * @param {Object} [options] Optional settings, see normalizeTimelineOptions() in Code.js. Milestone options are ignored.
+ * @returns {boolean} True if the report was generated.
+ */
+function updateCapacityReport(sourceSheetName, destinationSheetName, options) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const timelineOptions = normalizeTimelineOptions(options);
+  timelineOptions.includePeople = true;
+
+  const sourceSheet = spreadsheet.getSheetByName(sourceSheetName);
+
+  if (!sourceSheet) {
+    Logger.log(`Error: Source sheet '${sourceSheetName}' not found.`);
+    showMessage("Error", `Source sheet '${sourceSheetName}' not found.`);
+    return false;
+  }
+
+  const terms = getTimelineTerms(spreadsheet, timelineOptions.termsSheetName);
+  if (!terms || !resolveTermWindow(timelineOptions, terms)) {
+    return false;
+  }
+
+  const skippedRows = reportSourceIssues(spreadsheet, sourceSheet, terms);
+
+  const assignments = readTimelineAssignments(sourceSheet, timelineOptions, skippedRows);
+  if (!assignments) {
+    return false;
+  }
+
+  if (assignments.length === 0) {
+    Logger.log("No valid project data found to create the capacity report.");
+    showMessage("Info", "No valid project data found to create the capacity report.");
+    return false;
+  }
+
+  const calendar = loadWorkingDayCalendar(spreadsheet, sourceSheet, timelineOptions, skippedRows);
+  const dateRange = getTimelineDateRange(assignments, timelineOptions);
+  const sortedDailyDateKeys = getDailyDateKeys(dateRange.minDate, dateRange.maxDate);
+  const workWeeks = getWorkWeeks(sortedDailyDateKeys, timelineOptions.workWeek);
+  const workingDaysPerWeek = WEEKDAY_NAMES.length - timelineOptions.workWeek.weekendDays.length; // Converts daily allocations to full-time weeks
+
+  workWeeks.forEach(week => {
+    week.dateKeys = sortedDailyDateKeys.slice(week.startIndex, week.endIndex + 1);
+    week.term = findTermForDate(week.startDate, terms);
+  });
+
+  // Terms that have at least one week in the report, in date order
+  const reportTerms = [];
+  workWeeks.forEach(week => {
+    if (week.term && (reportTerms.length === 0 || reportTerms[reportTerms.length - 1].name !== week.term.name)) {
+      reportTerms.push(week.term);
+    }
+  });
+
+  const assignmentsByPerson = new Map();
+  assignments.forEach(assignment => {
+    if (!assignmentsByPerson.has(assignment.person)) {
+      assignmentsByPerson.set(assignment.person, []);
+    }
+    assignmentsByPerson.get(assignment.person).push(assignment);
+  });
+  const sortedPeople = Array.from(assignmentsByPerson.keys()).sort();
+
+  const firstWeekCol = 2;
+  const firstTermTotalCol = firstWeekCol + workWeeks.length;
+  const totalColumns = firstTermTotalCol + reportTerms.length - 1;
+  const buffer = createRenderBuffer(totalColumns);
+
+  // --- Header rows: terms over the weeks in row 1, week labels in row 2, then the term totals ---
+  ensureBufferRows(buffer, 2);
+  setBufferValue(buffer, 2, 1, "Person");
+  formatBufferRange(buffer, 1, 1, 2, totalColumns, { horizontalAlignment: "center", verticalAlignment: "middle", fontWeight: "bold" });
+
+  let termStartIndex = 0;
+  for (let i = 1; i <= workWeeks.length; i++) {
+    const previousTerm = workWeeks[i - 1].term;
+    const currentTerm = i < workWeeks.length ? workWeeks[i].term : null;
+    if (i === workWeeks.length || (previousTerm ? previousTerm.name : null) !== (currentTerm ? currentTerm.name : null)) {
+      if (previousTerm) {
+        const numWeeks = i - termStartIndex;
+        mergeBufferRange(buffer, 1, firstWeekCol + termStartIndex, 1, numWeeks);
+        setBufferValue(buffer, 1, firstWeekCol + termStartIndex, previousTerm.name);
+        formatBufferRange(buffer, 1, firstWeekCol + termStartIndex, 1, numWeeks, { background: previousTerm.color, fontColor: "#FFFFFF" });
+      }
+      termStartIndex = i;
+    }
+  }
+
+  workWeeks.forEach((week, index) => {
+    setBufferValue(buffer, 2, firstWeekCol + index, week.label);
+    if (week.term) {
+      formatBufferRange(buffer, 2, firstWeekCol + index, 1, 1, { background: week.term.color, fontColor: "#FFFFFF" });
+    } else {
+      formatBufferRange(buffer, 2, firstWeekCol + index, 1, 1, { background: "#D3D3D3" });
+    }
+  });
+
+  if (reportTerms.length > 0) {
+    mergeBufferRange(buffer, 1, firstTermTotalCol, 1, reportTerms.length);
+    setBufferValue(buffer, 1, firstTermTotalCol, "Term totals");
+    reportTerms.forEach((term, index) => {
+      setBufferValue(buffer, 2, firstTermTotalCol + index, term.name);
+      formatBufferRange(buffer, 2, firstTermTotalCol + index, 1, 1, { background: term.color, fontColor: "#FFFFFF" });
+    });
+  }
+
+  // --- One row per person ---
+  let currentRow = 3;
+  sortedPeople.forEach(person => {
+    const personAssignments = assignmentsByPerson.get(person);
+    const termTotals = new Map();
+    const overAllocatedTerms = new Set();
+
+    setBufferValue(buffer, currentRow, 1, person);
+
+    workWeeks.forEach((week, index) => {
+      const workingDateKeys = week.dateKeys.filter(dateIso => calendar.isWorkingDay(dateIso, person));
+      const weeklyLoad = computeWeeklyLoad(personAssignments, workingDateKeys);
+      const load = weeklyLoad.peakLoad;
+      const weekCol = firstWeekCol + index;
+      if (workingDateKeys.length === 0) {
+        setBufferValue(buffer, currentRow, weekCol, "Off");
+        formatBufferRange(buffer, currentRow, weekCol, 1, 1, { background: HOLIDAY_COLOR });
+      } else if (load > 0) {
+        setBufferValue(buffer, currentRow, weekCol, `${load}%`);
+      }
+      if (load > FULL_ALLOCATION) {
+        formatBufferRange(buffer, currentRow, weekCol, 1, 1, { background: OVER_ALLOCATED_COLOR, fontWeight: "bold" });
+      }
+      if (week.term) {
+        termTotals.set(week.term.name, (termTotals.get(week.term.name) || 0) + weeklyLoad.totalLoad);
+        if (load > FULL_ALLOCATION) {
+          overAllocatedTerms.add(week.term.name);
+        }
+      }
+    });
+
+    reportTerms.forEach((term, index) => {
+      const totalCol = firstTermTotalCol + index;
+      setBufferValue(buffer, currentRow, totalCol, Math.round((termTotals.get(term.name) || 0) / (FULL_ALLOCATION * workingDaysPerWeek) * 10) / 10);
+      if (overAllocatedTerms.has(term.name)) {
+        formatBufferRange(buffer, currentRow, totalCol, 1, 1, { background: OVER_ALLOCATED_COLOR, fontWeight: "bold" });
+      }
+    });
+
+    currentRow++;
+  });
+
+  if (totalColumns > 1) {
+    formatBufferRange(buffer, 3, 2, currentRow - 3, totalColumns - 1, { horizontalAlignment: "center" });
+  }
+
+  // --- Write the report ---
+  const capacitySheet = prepareGanttSheet(spreadsheet, destinationSheetName);
+  flushRenderBuffer(capacitySheet, buffer);
+  capacitySheet.setFrozenRows(2);
+  capacitySheet.setFrozenColumns(1);
+  if (totalColumns > 1) {
+    capacitySheet.setColumnWidths(firstWeekCol, totalColumns - 1, 80);
+  }
+  capacitySheet.autoResizeColumn(1);
+
+  return true;
+}
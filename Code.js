@@ -1,11 +1,20 @@
 /**
  * Generates a Gantt chart in a new Google Sheet tab based on project data.
  * The source sheet "Combined" is expected to have columns: Person, Project (JIRA Key), Start Date, End Date, Summary.
- * Milestones are identified by rows where Person = 'Milestone' in the Combined sheet.
- * Terms are hardcoded with predefined colors and date ranges.
- * The Gantt chart will display cells per day (work-week days) with weekly headers and term headers.
+ * Milestones are identified by rows where Person = 'Milestone' in the Combined sheet; single-day deadlines are drawn as
+ * markers across the chart, see Milestones.js.
+ * Terms are read from the "Terms" sheet (see Terms.js), falling back to the built-in TERMS_DATA list when it is absent.
+ * Holidays (from the "Holidays" sheet) and PTO rows (Project = 'PTO' in the Combined sheet) are shaded, see Holidays.js.
+ * Bars of projects with an optional 'Depends On' column entry are marked, and slips flagged, see Dependencies.js.
+ * Bars are styled by the optional 'Status' column and today's column is marked, see Status.js.
+ * Each project keeps its color from run to run, with overrides from the "Colors" sheet and a legend, see Colors.js.
+ * Source dates are read as the day they show in the spreadsheet's time zone, see Dates.js.
+ * The Gantt chart will display cells per day with weekly headers (weekends greyed out, see DEFAULT_WORK_WEEK) and term headers,
+ * or one cell per week or month when zoomed out (see TIMELINE_ZOOM_LEVELS).
  * The project Summary in the merged cell will be a hyperlink to the JIRA issue (based on the Key).
  * Projects for the same person/customer will be placed on the same row if their dates do not overlap.
+ * People are grouped into collapsible team sections when teams are known, see Teams.js.
+ * Each chart is laid out without touching the spreadsheet and then written to its sheet, see Layout.js.
  * The 'Person' column cells will be merged for consecutive rows belonging to the same person.
  */
 
@@ -15,7 +24,14 @@ const JIRA_BASE_URL = "https://infinitusai.atlassian.net/browse/";
 // Color for customer timeline bars
 const CUSTOMER_ROW_COLOR = "#E0FFFF"; // Light Cyan
 
-// Hardcoded term data
+// Column granularity of the timelines: one column per day, per week (starting on the work week's first day) or per calendar month
+const TIMELINE_ZOOM_LEVELS = {
+  day: { columnWidth: 20 },
+  week: { columnWidth: 45 },
+  month: { columnWidth: 60 }
+};
+
+// Built-in term data, used only when the spreadsheet has no "Terms" sheet
 const TERMS_DATA = [
   {
     name: "T1 2025",
@@ -26,7 +42,7 @@ const TERMS_DATA = [
   {
     name: "T2 2025", 
     startDate: new Date("2025-05-05"),
-    endDate: new Date("2025-08-18"),
+    endDate: new Date("2025-08-17"),
     color: "#4ECDC4" // Teal
   },
   {
@@ -36,328 +52,344 @@ const TERMS_DATA = [
     color: "#45B7D1" // Blue
   },
   {
-    name: "T4 2024",
-    startDate: new Date("2024-11-03"),
+    name: "T4 2025",
+    startDate: new Date("2025-11-03"),
     endDate: new Date("2026-02-01"),
     color: "#96CEB4" // Green
   }
 ];
 
+// Messages showMessage() could not show because the script ran without a UI, oldest first
+const unshownMessages = [];
+
 /**
- * Helper function to get the start of the week (Monday) for a given date.
- * @param {Date} date The date to find the start of the week for.
- * @returns {Date} The Monday of the week containing the given date.
+ * Shows a message to the user in a dialog. Without a UI (a time-driven trigger or the web app) Browser.msgBox() throws,
+ * so the message goes to the execution log instead and the run carries on.
+ * @param {string} title The dialog title.
+ * @param {string} message The message; "\\n" starts a new line, as in Browser.msgBox().
  */
-function getStartOfWeek(date) {
-  const d = new Date(date);
-  const day = d.getUTCDay(); // 0 for Sunday, 1 for Monday, ..., 6 for Saturday
-  // Adjust to Monday. If Sunday (0), subtract 6 days. Otherwise, subtract day - 1.
-  const diff = d.getUTCDate() - day + (day === 0 ? -6 : 1);
-  return new Date(d.getUTCFullYear(), d.getUTCMonth(), diff);
+function showMessage(title, message) {
+  try {
+    Browser.msgBox(title, message, Browser.Buttons.OK);
+  } catch (err) {
+    const text = `${title}: ${message.replace(/\\n/g, "\n")}`;
+    Logger.log(text);
+    unshownMessages.push(text);
+  }
 }
 
 /**
- * Helper function to get the end of the work week (Friday) for a given date.
- * @param {Date} date The date to find the end of the work week for.
- * @returns {Date} The Friday of the week containing the given date.
+ * Finds the term a date falls into.
+ * @param {Date} date The date, at UTC midnight.
+ * @param {Array<Object>} terms The terms to search.
+ * @returns {?{name: string, color: string}} The term's name and color, or null if the date is outside all terms.
  */
-function getEndOfWeek(date) {
-  const startOfWeek = getStartOfWeek(date);
-  const endOfWeek = new Date(startOfWeek);
-  endOfWeek.setUTCDate(startOfWeek.getUTCDate() + 6); // Add 6 days to Monday to get Sunday
-  return endOfWeek;
+function findTermForDate(date, terms) {
+  for (const term of terms) {
+    if (date >= term.startDate && date <= term.endDate) {
+      return { name: term.name, color: term.color };
+    }
+  }
+  return null;
 }
 
 /**
- * Generates the common header rows (terms and weekly dates) for the Gantt charts,
- * with daily columns and weekly merged headers.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to apply headers to.
- * @param {Date} minOverallDate The earliest date across all relevant projects.
- * @param {Date} maxOverallDate The latest date across all relevant projects.
- * @param {number} firstFixedColumnIndex The column index of the first data-carrying column (e.g., 1 for 'Person' or 'Project' column).
- * @returns {{dailyDateToSheetColMap: Map<string, number>, totalDataColumns: number, totalHeaderColumns: number}} An object containing the daily date-to-column map and total columns.
+ * Reads everything the people timeline shows: terms, assignments, milestones, holidays and time off, dependencies,
+ * teams and colors. Shared by updatePeopleTimeline(), updateProjectTimeline() and the web app (see WebApp.js).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the source and settings sheets.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {Object} timelineOptions The options returned by normalizeTimelineOptions().
+ * @param {boolean} writeIssues Whether to write the validation problems to the Issues sheet; rows with unusable data
+ *     are left out either way.
+ * @returns {?{terms: Array<Object>, timelineOptions: Object, assignments: Array<Object>, milestoneData: Array<Object>, calendar: Object, dependencies: ?Map, teamsByPerson: ?Map<string, string>, colorOverrides: Map<string, string>, skippedRows: Set<number>}}
+ *     The chart data, or null if the terms or the source sheet are unusable (the user has been told why).
  */
-function generateTimelineHeaders(sheet, minOverallDate, maxOverallDate, firstFixedColumnIndex) {
-  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-
-  const dailyDateToSheetColMap = new Map(); // Maps YYYY-MM-DD to its sheet column index
-  let currentSheetColIndex = firstFixedColumnIndex + 1; // Current column for daily data (starts after fixed column)
-
-  let currentDate = new Date(minOverallDate);
-  while (currentDate <= maxOverallDate) {
-    dailyDateToSheetColMap.set(currentDate.toISOString().slice(0, 10), currentSheetColIndex);
-    currentSheetColIndex++;
-    currentDate.setUTCDate(currentDate.getUTCDate() + 1); // Move to the next day
+function readPeopleTimelineData(spreadsheet, sourceSheet, timelineOptions, writeIssues) {
+  const terms = getTimelineTerms(spreadsheet, timelineOptions.termsSheetName);
+  if (!terms || !resolveTermWindow(timelineOptions, terms)) {
+    return null;
   }
 
-  const totalDataColumns = currentSheetColIndex - (firstFixedColumnIndex + 1); // Number of actual daily data columns
-  const totalHeaderColumns = firstFixedColumnIndex + totalDataColumns; // Total columns in the header rows (including fixed)
+  // Rows with unusable data are listed in the Issues sheet and left out of the chart
+  let skippedRows;
+  if (writeIssues) {
+    skippedRows = reportSourceIssues(spreadsheet, sourceSheet, terms);
+  } else {
+    const validation = validateSourceSheet(spreadsheet, sourceSheet, terms);
+    skippedRows = validation ? validation.skippedRows : new Set();
+  }
+  const dependencies = readProjectDependencies(sourceSheet, skippedRows); // null without a "Depends On" column
 
-  // Helper function to determine which term a given date falls into
-  function getTermForDate(date) {
-    for (const term of TERMS_DATA) {
-      if (date >= term.startDate && date <= term.endDate) {
-        return { name: term.name, color: term.color };
-      }
-    }
+  const assignments = readTimelineAssignments(sourceSheet, timelineOptions, skippedRows);
+  if (!assignments) {
     return null;
   }
 
-  // Populate Term Header Data (Row 1)
-  const termMergeRanges = [];
-  const sortedDailyDateKeys = Array.from(dailyDateToSheetColMap.keys()).sort();
-
-  let lastTermKey = null;
-  let currentTermMergeStartCol = -1;
-  let currentTermColor = null;
-
-  // Process sorted daily keys to identify term boundaries
-  for (let i = 0; i < sortedDailyDateKeys.length; i++) {
-    const dateIso = sortedDailyDateKeys[i];
-    const dayDate = new Date(dateIso);
-    const termForDay = getTermForDate(dayDate);
-    const currentTermKey = termForDay ? `${termForDay.name}` : null;
-    const currentTermActualColor = termForDay ? termForDay.color : null;
-    const currentDayColIndex = dailyDateToSheetColMap.get(dateIso);
-
-    if (currentTermKey !== lastTermKey) {
-      if (lastTermKey !== null && currentTermMergeStartCol !== -1) {
-        // Finalize the previous term's merge range
-        termMergeRanges.push({
-          startCol: currentTermMergeStartCol,
-          endCol: dailyDateToSheetColMap.get(sortedDailyDateKeys[i - 1]),
-          text: lastTermKey,
-          color: currentTermColor
-        });
-      }
-      // Start new merge range
-      currentTermMergeStartCol = currentDayColIndex;
-      lastTermKey = currentTermKey;
-      currentTermColor = currentTermActualColor;
-    }
-  }
-  // Push the very last term merge range
-  if (lastTermKey !== null && currentTermMergeStartCol !== -1) {
-    termMergeRanges.push({
-      startCol: currentTermMergeStartCol,
-      endCol: dailyDateToSheetColMap.get(sortedDailyDateKeys[sortedDailyDateKeys.length - 1]),
-      text: lastTermKey,
-      color: currentTermColor
-    });
+  const milestoneData = timelineOptions.includeMilestones ? getMilestoneData(sourceSheet, skippedRows)
+    .filter(milestone => clipToDateWindow(milestone, timelineOptions.windowStart, timelineOptions.windowEnd)) : [];
+
+  return {
+    terms: terms,
+    timelineOptions: timelineOptions,
+    assignments: assignments,
+    milestoneData: milestoneData,
+    calendar: loadWorkingDayCalendar(spreadsheet, sourceSheet, timelineOptions, skippedRows),
+    dependencies: dependencies,
+    teamsByPerson: readTeamsByPerson(spreadsheet, sourceSheet, skippedRows), // null when no teams are known
+    colorOverrides: readColorOverrides(spreadsheet),
+    skippedRows: skippedRows
+  };
+}
+
+/**
+ * Builds the people Gantt chart from the source sheet into the destination sheet.
+ * @param {string} sourceSheetName The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {string} destinationSheetName The sheet to (re)generate the chart in. Created if it does not exist.
+ * @param {Object} [options] Optional settings, see normalizeTimelineOptions() and buildTimelineOptions() in Menu.js.
+ * @param {?Date} [options.windowStart] Only include projects and milestones ending on or after this day (at UTC midnight, see Dates.js); earlier dates are clipped.
+ *     The chart starts on this day, or on the earliest date shown if null.
+ * @param {?Date} [options.windowEnd] Only include projects and milestones starting on or before this date; later dates are clipped.
+ *     The chart ends on this day, or on the latest date shown if null.
+ * @param {?string} [options.windowTerm] The term whose dates are the window instead, see resolveTermWindow().
+ * @param {boolean} [options.includeMilestones=true] Whether to draw the milestone rows.
+ * @param {boolean} [options.includePeople=true] Whether to draw the person rows.
+ * @param {Array<string>} [options.people] If non-empty, only these people are drawn.
+ * @param {?string} [options.termsSheetName] The sheet to read terms from, or null to use TERMS_DATA. Defaults to TERMS_SHEET_NAME.
+ * @param {string} [options.zoom="day"] One column per "day", "week" or "month"; bars cover every column they touch.
+ * @param {boolean} [options.teamTabs=false] Whether to also draw each team into its own tab, see Teams.js.
+ * @param {{weekStartDay: number, weekendDays: Array<number>}} [options.workWeek=DEFAULT_WORK_WEEK] The day weeks start on and the
+ *     weekend days, see normalizeWorkWeek().
+ * @param {boolean} [options.isDraft=false] Whether the source is a draft (see Scheduler.js). Only the chart is drawn:
+ *     the Issues, Dependencies, Legend and Plan History sheets (see Snapshots.js) and the team tabs describe the real plan
+ *     and are left as they are.
+ * @returns {boolean} True if the chart was generated.
+ */
+function updatePeopleTimeline(sourceSheetName, destinationSheetName, options) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const timelineOptions = normalizeTimelineOptions(options);
+
+  const sourceSheetCombined = spreadsheet.getSheetByName(sourceSheetName);
+
+  if (!sourceSheetCombined) {
+    Logger.log(`Error: Source sheet '${sourceSheetName}' not found.`);
+    showMessage("Error", `Source sheet '${sourceSheetName}' not found.`);
+    return false;
   }
 
-  // Create the header rows in the sheet
-  const termRowValues = new Array(totalHeaderColumns).fill("");
-  // Fill the fixed column header in Row 1 if it exists
-  if (firstFixedColumnIndex > 1) {
-    termRowValues[0] = "";
+  const chartData = readPeopleTimelineData(spreadsheet, sourceSheetCombined, timelineOptions, !timelineOptions.isDraft);
+  if (!chartData) {
+    return false;
   }
-  sheet.getRange(1, 1, 1, totalHeaderColumns).setValues([termRowValues]);
+  const assignments = chartData.assignments;
+  const dependencies = chartData.dependencies;
+  const teamsByPerson = chartData.teamsByPerson;
 
-  const weeklyDateRowValues = new Array(totalHeaderColumns).fill("");
-  // Fill the fixed column header in Row 2 if it exists
-  if (firstFixedColumnIndex > 1) {
-    weeklyDateRowValues[0] = ""; // This cell will contain 'Person' or 'Project' text, but in row 2 is blank.
+  if (!drawPeopleChart(spreadsheet, destinationSheetName, chartData, null)) {
+    return false;
   }
-  sheet.getRange(2, 1, 1, totalHeaderColumns).setValues([weeklyDateRowValues]);
-
-
-  // Apply weekly header merges, values and backgrounds to row 2
-  let i = 0;
-  while (i < sortedDailyDateKeys.length) {
-    const dateIso = sortedDailyDateKeys[i];
-    const dayDate = new Date(dateIso);
-    const dayOfWeek = dayDate.getUTCDay();
-
-    if (dayOfWeek >= 1 && dayOfWeek <= 5) { // Weekdays block
-      const startCol = dailyDateToSheetColMap.get(dateIso);
-      const endIdx = i + 5 - dayOfWeek;
-      const endCol = dailyDateToSheetColMap.get(sortedDailyDateKeys[endIdx]);
-      const numColsToMerge = endCol - startCol + 1;
-      if (numColsToMerge > 0) {
-        const weekRange = sheet.getRange(2, startCol, 1, numColsToMerge);
-        weekRange.breakApart();
-        weekRange.merge();
-        // Label with week range
-        const weekStartDate = new Date(sortedDailyDateKeys[i]);
-        const weekEndDate = new Date(sortedDailyDateKeys[endIdx]);
-        // Format using UTC
-        function formatUTCMMDD(date) {
-          const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
-          const dd = String(date.getUTCDate()).padStart(2, '0');
-          return mm + '/' + dd;
-        }
-        const weekHeaderString =
-          formatUTCMMDD(weekStartDate) + "-" + formatUTCMMDD(weekEndDate);
-        weekRange.setValue(weekHeaderString);
-        weekRange.setHorizontalAlignment("center");
-        weekRange.setVerticalAlignment("middle");
-        // Set background color for the date row (Row 2) dynamically based on term color
-        const termForWeek = getTermForDate(dayDate);
-        if (termForWeek && termForWeek.color) {
-          weekRange.setBackground(termForWeek.color);
-          weekRange.setFontColor("#FFFFFF"); // White text for contrast
-          weekRange.setFontWeight("bold"); // Make font bold
-        } else {
-          weekRange.setBackground("#D3D3D3"); // Light grey fallback
-          weekRange.setFontColor("#000000");
-          weekRange.setFontWeight("normal");
-        }
-        weekRange.setFontSize(10); // Set font size for weekly header
-      }
-      i = endIdx + 1;
-    } else if (dayOfWeek === 6 || dayOfWeek === 0) { // Weekend block
-      // Merge Sat+Sun if both exist, otherwise just one cell
-      const startCol = dailyDateToSheetColMap.get(dateIso);
-      const endIdx = dayOfWeek === 6 && i < sortedDailyDateKeys.length - 1 ? i + 1 : i;
-      const endCol = dailyDateToSheetColMap.get(sortedDailyDateKeys[endIdx]);
-      const numColsToMerge = endCol - startCol + 1;
-      if (numColsToMerge > 0) {
-        const weekendRange = sheet.getRange(2, startCol, 1, numColsToMerge);
-        weekendRange.breakApart();
-        weekendRange.merge();
-        weekendRange.setValue(""); // No text
-        weekendRange.setHorizontalAlignment("center");
-        weekendRange.setVerticalAlignment("middle");
-        weekendRange.setBackground("#D3D3D3"); // Gray fill for weekends
-        weekendRange.setFontColor("#000000");
-        weekendRange.setFontWeight("normal");
-        weekendRange.setFontSize(10);
+  if (timelineOptions.isDraft) {
+    return true;
+  }
+
+  // One more tab per team, named after the main tab
+  if (timelineOptions.teamTabs && teamsByPerson) {
+    const teams = groupPeopleByTeam(Array.from(new Set(assignments.map(assignment => assignment.person))), teamsByPerson);
+    teams.forEach(section => {
+      const teamSheetName = `${destinationSheetName} - ${section.team}`;
+      if (teamSheetName === sourceSheetName) {
+        Logger.log(`Warning: Not writing the '${section.team}' team tab over the source sheet '${sourceSheetName}'.`);
+        return;
       }
-      i = endIdx + 1;
-    } else {
-      i++;
-    }
+      drawPeopleChart(spreadsheet, teamSheetName, chartData, section.team);
+    });
   }
 
-  // Apply term merges and formatting to row 1
-  termMergeRanges.forEach(range => {
-    const termRange = sheet.getRange(1, range.startCol, 1, range.endCol - range.startCol + 1);
-    termRange.breakApart();
-    termRange.merge();
-    termRange.setValue(range.text);
-    termRange.setHorizontalAlignment("center");
-    termRange.setVerticalAlignment("middle");
-    termRange.setBackground(range.color);
-    termRange.setFontColor("#FFFFFF");
-    termRange.setFontSize(10); // Set font size for term header
-  });
+  if (dependencies) {
+    // Everyone's time off, since the projects span all their rows whatever the chart is filtered to
+    const planOptions = normalizeTimelineOptions({ termsSheetName: timelineOptions.termsSheetName, workWeek: timelineOptions.workWeek });
+    writeDependenciesSheet(spreadsheet, dependencies, loadWorkingDayCalendar(spreadsheet, sourceSheetCombined, planOptions, chartData.skippedRows));
+  }
+  writeLegendSheet(spreadsheet, assignments, chartData.colorOverrides);
 
-  sheet.setFrozenRows(2); // Freeze both header rows
+  // Record the plan and compare it with the previous run
+  if (savePlanSnapshot(spreadsheet, sourceSheetCombined, chartData.skippedRows)) {
+    updateChangesSheet(spreadsheet);
+  }
 
-  // Determine current day's column and hide previous columns
-  const today = new Date();
-  const todayISO = today.toISOString().slice(0, 10);
-  const currentDayCol = dailyDateToSheetColMap.get(todayISO);
+  return true;
+}
 
-  if (currentDayCol !== undefined && currentDayCol > firstFixedColumnIndex + 1) { // +1 because first data column is after fixed.
-    const numColsToHide = currentDayCol - (firstFixedColumnIndex + 1);
-    if (numColsToHide > 0) {
-      sheet.hideColumns(firstFixedColumnIndex + 1, numColsToHide);
-    }
-  } else if (currentDayCol === undefined && sortedDailyDateKeys.length > 0 && new Date(sortedDailyDateKeys[0]) > today) {
-    // If current day is before the first chart day, hide all data columns
-    sheet.hideColumns(firstFixedColumnIndex + 1, totalDataColumns);
+/**
+ * Draws the people Gantt chart, for everyone or for one team, into a sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to draw in.
+ * @param {string} destinationSheetName The sheet to (re)generate the chart in. Created if it does not exist.
+ * @param {Object} chartData The data returned by readPeopleTimelineData().
+ * @param {?string} team The team to draw, or null for everyone (in team sections when teams are known).
+ * @returns {boolean} True if the chart was generated.
+ */
+function drawPeopleChart(spreadsheet, destinationSheetName, chartData, team) {
+  const plan = layoutPeopleChart(chartData, team, getToday());
+  if (!plan) {
+    Logger.log("No valid project or customer data found to create the Gantt chart.");
+    showMessage("Info", "No valid project or customer data found to create the Gantt chart.");
+    return false;
   }
 
-  return { dailyDateToSheetColMap: dailyDateToSheetColMap, totalDataColumns: totalDataColumns, totalHeaderColumns: totalHeaderColumns };
+  writeChartPlan(prepareGanttSheet(spreadsheet, destinationSheetName), plan);
+  return true;
 }
 
-function populateCustomerRows(ganttSheet, customerData, dailyDateToSheetColMap, totalHeaderColumns, startRow) {
-  let currentRow = startRow;
-  if (customerData.length === 0) {
-    return currentRow;
-  }
+/**
+ * Lays out the people Gantt chart, for everyone or for one team, without touching the spreadsheet (see Layout.js).
+ * @param {Object} chartData The data returned by readPeopleTimelineData().
+ * @param {?string} team The team to lay out, or null for everyone (in team sections when teams are known).
+ * @param {Date} today Today, at UTC midnight, see getToday().
+ * @returns {?Object} The chart plan returned by finishChartLayout(), or null if there is nothing to draw.
+ */
+function layoutPeopleChart(chartData, team, today) {
+  const terms = chartData.terms;
+  const timelineOptions = chartData.timelineOptions;
+  const milestoneData = chartData.milestoneData;
+  const calendar = chartData.calendar;
+  const dependencies = chartData.dependencies;
+
+  // --- 1. Determine Date Range and Collect Unique Projects/People ---
+  const isInTeam = person => team === null || (chartData.teamsByPerson.get(person) || NO_TEAM_LABEL) === team;
+  const assignments = chartData.assignments.filter(assignment => isInTeam(assignment.person));
+  const dateRange = getTimelineDateRange(assignments.concat(milestoneData), timelineOptions);
 
-  customerData.sort((a, b) => a.startDate.getTime() - b.startDate.getTime());
+  const projectsByPerson = new Map();
 
-  const packedCustomerRows = [];
+  assignments.forEach(assignment => {
+    if (!projectsByPerson.has(assignment.person)) {
+      projectsByPerson.set(assignment.person, []);
+    }
 
-  customerData.forEach(customer => {
-    let placed = false;
-    for (let i = 0; i < packedCustomerRows.length; i++) {
-      const currentRowCustomers = packedCustomerRows[i];
-      let canPlaceInRow = true;
+    projectsByPerson.get(assignment.person).push(assignment);
+  });
 
-      for (let j = 0; j < currentRowCustomers.length; j++) {
-        const existingCustomer = currentRowCustomers[j];
-        if (customer.startDate <= existingCustomer.endDate && customer.endDate >= existingCustomer.startDate) {
-          canPlaceInRow = false;
-          break;
-        }
+  // People with time off in the chart's date range get a row even without projects
+  if (assignments.length > 0) {
+    const firstDateIso = toDateKey(dateRange.minDate);
+    const lastDateIso = toDateKey(dateRange.maxDate);
+    calendar.timeOffByPerson.forEach((dateKeys, person) => {
+      if (!projectsByPerson.has(person) && isInTeam(person) && Array.from(dateKeys).some(dateIso => dateIso >= firstDateIso && dateIso <= lastDateIso)) {
+        projectsByPerson.set(person, []);
       }
+    });
+  }
 
-      if (canPlaceInRow) {
-        currentRowCustomers.push(customer);
-        placed = true;
-        break;
-      }
-    }
+  if (projectsByPerson.size === 0 && milestoneData.length === 0) {
+    return null;
+  }
 
-    if (!placed) {
-      packedCustomerRows.push([customer]);
-    }
-  });
+  // --- 2. Generate Headers using common function ---
+  const headerInfo = layoutTimelineHeaders(dateRange.minDate, dateRange.maxDate, 1, terms, calendar.holidays, timelineOptions.zoom, timelineOptions.workWeek, today); // 1 because 'Person' is column 1
+  const dailyDateToSheetColMap = headerInfo.dailyDateToSheetColMap;
+  const totalHeaderColumns = headerInfo.totalHeaderColumns; // Total columns for header rows
+  const buffer = headerInfo.buffer;
 
-  packedCustomerRows.forEach((rowCustomers,) => {
-    ganttSheet.getRange(currentRow, 2, 1, totalHeaderColumns - 1).setBackground("#cccccc"); // Light grey for empty cells
+  // --- 3. Populate Chart Rows (Milestones then People) ---
+  // The milestone rows stay frozen above the person rows
+  let currentRow = layoutMilestoneRows(headerInfo, milestoneData, getBlockedColumns(calendar, null, dailyDateToSheetColMap));
+  const frozenRows = currentRow - 1;
 
-    rowCustomers.forEach(customer => {
-      const projectStartDate = customer.startDate;
-      const projectEndDate = customer.endDate;
+  // --- Populate Person/Project Rows ---
+  const getProjectColor = createColorPicker(chartData.colorOverrides);
 
-      let startSheetCol = dailyDateToSheetColMap.get(projectStartDate.toISOString().slice(0, 10));
-      let endSheetCol = dailyDateToSheetColMap.get(projectEndDate.toISOString().slice(0, 10));
+  const sortedPeople = Array.from(projectsByPerson.keys()).sort();
+  // With teams known, the main chart gets one collapsible section per team; a team's own tab needs none
+  const teamSections = chartData.teamsByPerson && team === null ? groupPeopleByTeam(sortedPeople, chartData.teamsByPerson)
+    : [{ team: null, people: sortedPeople }];
+  const teamRows = [];
+
+  teamSections.forEach(section => {
+    if (section.team !== null) {
+      drawTeamHeaderRow(buffer, currentRow, section, totalHeaderColumns);
+      teamRows.push({ headerRow: currentRow, firstRow: currentRow + 1 });
+      currentRow++;
+    }
 
-      // if startSheetCol or endSheetCol is undefined then show an error and return
-      if (startSheetCol === undefined || endSheetCol === undefined) {
-        Browser.msgBox("Mapping is wrong for customer: " + customer.name + " with data ISO string: " + projectStartDate.toISOString().slice(0, 10) + " or " + projectEndDate.toISOString().slice(0, 10));
-        return;
-      }
+    section.people.forEach(person => {
+      const personProjects = projectsByPerson.get(person);
+      // Projects share a row as long as their allocations on any day add up to at most 100%
+      const packedRows = personProjects.length > 0 ? packByAllocation(personProjects.map(project => snapToTimelineColumns(project, headerInfo))) : [[]];
+      const blockedColumns = getBlockedColumns(calendar, person, dailyDateToSheetColMap);
 
-      if (startSheetCol > endSheetCol) {
-        endSheetCol = startSheetCol;
+      const peakAllocation = getPeakAllocation(personProjects);
+      const isOverAllocated = peakAllocation > FULL_ALLOCATION;
+      if (isOverAllocated) {
+        buffer.warnings.push(`'${person}' is allocated ${peakAllocation}% at peak.`);
       }
 
-      const numColsToColor = endSheetCol - startSheetCol + 1;
-
-      if (numColsToColor > 0) {
-        const rangeToColor = ganttSheet.getRange(currentRow, startSheetCol, 1, numColsToColor);
-        rangeToColor.breakApart();
-        rangeToColor.merge();
-        rangeToColor.setBackground(CUSTOMER_ROW_COLOR);
-        rangeToColor.setBorder(true, true, true, true, true, true);
-        rangeToColor.setValue(customer.name);
-        rangeToColor.setHorizontalAlignment("center");
-        rangeToColor.setVerticalAlignment("middle");
-        rangeToColor.setWrap(true); // Wrap text in merged cells
-        rangeToColor.setFontSize(7); // Set font size to 7 for milestones
-      }
+      packedRows.forEach((rowProjects, rowIndex) => {
+        setBufferValue(buffer, currentRow, 1, person);
+        // White fill for Person column, highlighted when the person is over-allocated
+        formatBufferRange(buffer, currentRow, 1, 1, 1, { background: isOverAllocated ? OVER_ALLOCATED_COLOR : "#FFFFFF" });
+
+        // Set default background for the rest of the row (date columns), shading holidays and the person's time off
+        fillEmptyChartRow(buffer, currentRow, totalHeaderColumns, blockedColumns);
+        if (rowIndex === 0) {
+          labelTimeOff(buffer, currentRow, blockedColumns);
+        }
+
+        drawSharedRow(buffer, currentRow, rowProjects, dailyDateToSheetColMap, totalHeaderColumns, projectData => styleBarByStatus(markContinuingBar(markDependentBar({
+          text: formatAllocationLabel(projectData.summary, projectData.allocation),
+          linkUrl: projectData.key ? JIRA_BASE_URL + projectData.key : null,
+          color: getProjectColor(getProjectColorKey(projectData, chartData.colorOverrides))
+        }, dependencies, projectData.key), projectData), projectData), blockedColumns);
+        currentRow++;
+      });
     });
-    currentRow++;
-  });
-  return currentRow;
-}
 
+    if (section.team !== null) {
+      teamRows[teamRows.length - 1].lastRow = currentRow - 1;
+    }
+  });
 
-function updatePeopleTimeline(sourceSheetName, destinationSheetName) {
-  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  // --- 4. Add the markers and the sheet-level layout ---
+  return finishChartLayout(headerInfo, frozenRows, currentRow, teamRows);
+}
 
-  const sourceSheetCombined = spreadsheet.getSheetByName(sourceSheetName);
 
-  if (!sourceSheetCombined) {
-    Logger.log(`Error: Source sheet '${sourceSheetName}' not found.`);
-    Browser.msgBox("Error", `Source sheet '${sourceSheetName}' not found.`, Browser.Buttons.OK);
-    return;
-  }
+/**
+ * Fills in the defaults for the options accepted by updatePeopleTimeline() and updateProjectTimeline().
+ * @param {Object} [options] The options passed by the caller.
+ * @returns {Object} A new options object with every option set.
+ */
+function normalizeTimelineOptions(options) {
+  return Object.assign({
+    windowStart: null,
+    windowEnd: null,
+    windowTerm: null,
+    includeMilestones: true,
+    includePeople: true,
+    people: [],
+    termsSheetName: TERMS_SHEET_NAME,
+    zoom: "day",
+    teamTabs: false,
+    workWeek: DEFAULT_WORK_WEEK,
+    isDraft: false
+  }, options);
+}
 
-  const dataRangeCombined = sourceSheetCombined.getDataRange();
-  const allDataCombined = dataRangeCombined.getValues();
+/**
+ * Reads the project assignments (all non-milestone rows) from the source sheet,
+ * applying the people filter and date window from the timeline options.
+ * The optional "Allocation %" column gives the share of the person's time (in percent, 100 when blank).
+ * The optional "Epic" or "Label" column groups projects under one color, see Colors.js.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {Object} timelineOptions The options returned by normalizeTimelineOptions().
+ * @param {Set<number>} [skippedRows] Sheet row numbers to leave out, as returned by reportSourceIssues().
+ * @returns {Array<{person: string, key: string, summary: string, allocation: number, startDate: Date, endDate: Date, status: string, isOverdue: boolean, colorGroup: string}>|null} The assignments, or null if the sheet is unusable (the user has been told why).
+ */
+function readTimelineAssignments(sourceSheet, timelineOptions, skippedRows) {
+  const allDataCombined = sourceSheet.getDataRange().getValues();
 
   if (allDataCombined.length < 2) {
     Logger.log("Error: No data found in the 'Combined' sheet (excluding header).");
-    Browser.msgBox("Error", "No data found in the 'Combined' sheet (excluding header). Please add some project data.", Browser.Buttons.OK);
-    return;
+    showMessage("Error", "No data found in the 'Combined' sheet (excluding header). Please add some project data.");
+    return null;
   }
 
   const headerRowCombined = allDataCombined[0];
@@ -367,246 +399,159 @@ function updatePeopleTimeline(sourceSheetName, destinationSheetName) {
   const startColPeople = headerRowCombined.indexOf("Start Date");
   const endColPeople = headerRowCombined.indexOf("End Date");
   const summaryColPeople = headerRowCombined.indexOf("Summary");
+  const allocationColPeople = findAllocationColumn(headerRowCombined);
+  const statusColPeople = headerRowCombined.indexOf(STATUS_HEADER); // Optional
+  const colorGroupColPeople = findColorGroupColumn(headerRowCombined); // Optional
 
   if (personCol === -1 || projectKeyColPeople === -1 || startColPeople === -1 || endColPeople === -1) {
     Logger.log("Error: Missing one or more required columns (Person, Project, Start Date, End Date) in the 'Combined' sheet.");
-    Browser.msgBox("Error", "Missing one or more required columns (Person, Project, Start Date, End Date) in the 'Combined' sheet. Please check your column headers.", Browser.Buttons.OK);
-    return;
-  }
-
-  const milestoneData = getMilestoneData(sourceSheetCombined);
-
-  // --- 2. Prepare Gantt Chart Sheet ---
-  let ganttSheet = spreadsheet.getSheetByName(destinationSheetName);
-  if (ganttSheet) {
-    if (ganttSheet.getMaxRows() > 0 && ganttSheet.getMaxColumns() > 0) {
-      ganttSheet.getRange(1, 1, ganttSheet.getMaxRows(), ganttSheet.getMaxColumns()).breakApart();
-    }
-    ganttSheet.setFrozenRows(0);
-    ganttSheet.setFrozenColumns(0);
-    ganttSheet.clearContents();
-    ganttSheet.clearFormats();
-    ganttSheet.clearConditionalFormatRules();
-  } else {
-    ganttSheet = spreadsheet.insertSheet(destinationSheetName);
+    showMessage("Error", "Missing one or more required columns (Person, Project, Start Date, End Date) in the 'Combined' sheet. Please check your column headers.");
+    return null;
   }
 
-  // --- 3. Determine Date Range and Collect Unique Projects/People ---
-  let minOverallTimelineDate = new Date(8640000000000000);
-  let maxOverallTimelineDate = new Date(-8640000000000000);
-
-  milestoneData.forEach(milestone => {
-    if (milestone.startDate < minOverallTimelineDate) minOverallTimelineDate = milestone.startDate;
-    if (milestone.endDate > maxOverallTimelineDate) maxOverallTimelineDate = milestone.endDate;
-  });
+  const peopleFilter = new Set(timelineOptions.people);
+  const assignments = [];
 
-  const projectsByPerson = new Map();
-
-  dataRowsCombined.forEach(row => {
+  dataRowsCombined.forEach((row, index) => {
     const person = row[personCol];
     
     // Skip milestone rows as they are handled separately
     if (person === 'Milestone') {
       return;
     }
-    
-    const jiraKeyFromPeople = row[projectKeyColPeople];
-    let startDate = new Date(row[startColPeople]);
-    let endDate = new Date(row[endColPeople]);
-    const summary = row[summaryColPeople];
 
-    startDate.setHours(0, 0, 0, 0);
-    endDate.setHours(0, 0, 0, 0);
+    // Skip blank rows and rows the validation pass reported as unusable
+    if (row.every(value => value === "") || (skippedRows && skippedRows.has(index + 2))) {
+      return;
+    }
 
-    if (endDate < startDate) {
-      Logger.log(`Warning: End date is before start date for project key '${jiraKeyFromPeople}' by '${person}'. Adjusting end date to start date.`);
-      endDate.setUTCDate(startDate.getUTCDate());
+    if (!timelineOptions.includePeople || (peopleFilter.size > 0 && !peopleFilter.has(person))) {
+      return;
     }
+    
+    const jiraKeyFromPeople = row[projectKeyColPeople];
 
-    if (startDate < minOverallTimelineDate) {
-      minOverallTimelineDate = startDate;
+    // Time off is not an assignment; it is read by readTimeOff()
+    if (isTimeOffRow(jiraKeyFromPeople)) {
+      return;
     }
-    if (endDate > maxOverallTimelineDate) {
-      maxOverallTimelineDate = endDate;
+    const startDate = parseSheetDate(row[startColPeople]);
+    const endDate = parseSheetDate(row[endColPeople]);
+    const summary = row[summaryColPeople];
+    const status = statusColPeople === -1 ? "" : String(row[statusColPeople]).trim();
+    const colorGroup = colorGroupColPeople === -1 ? "" : String(row[colorGroupColPeople]).trim();
+    let allocation = allocationColPeople === -1 ? FULL_ALLOCATION : parseAllocation(row[allocationColPeople]);
+
+    if (allocation === null) {
+      Logger.log(`Warning: Allocation '${row[allocationColPeople]}' for project key '${jiraKeyFromPeople}' by '${person}' is not a percentage between 0 and 100. Assuming ${FULL_ALLOCATION}%.`);
+      allocation = FULL_ALLOCATION;
     }
 
-    if (!projectsByPerson.has(person)) {
-      projectsByPerson.set(person, []);
+    if (!startDate || !endDate || endDate < startDate) {
+      Logger.log(`Warning: Project key '${jiraKeyFromPeople}' by '${person}' has no valid date range. Skipping.`);
+      return;
     }
 
-    projectsByPerson.get(person).push({
+    const projectData = {
+      person: person,
       key: jiraKeyFromPeople,
       summary: summary,
+      allocation: allocation,
       startDate: startDate,
-      endDate: endDate
-    });
-  });
+      endDate: endDate,
+      status: status,
+      isOverdue: isOverdue(status, endDate), // Before the end date is clipped to the window
+      colorGroup: colorGroup
+    };
 
-  if (projectsByPerson.size === 0 && milestoneData.length === 0) {
-    Logger.log("No valid project or customer data found to create the Gantt chart.");
-    Browser.msgBox("Info", "No valid project or customer data found to create the Gantt chart.", Browser.Buttons.OK);
-    return;
-  }
-
-  // --- 4. Generate Headers using common function ---
-  const headerInfo = generateTimelineHeaders(ganttSheet, minOverallTimelineDate, maxOverallTimelineDate, 1); // 2 because 'Person' is column 1
-  const dailyDateToSheetColMap = headerInfo.dailyDateToSheetColMap;
-  const totalHeaderColumns = headerInfo.totalHeaderColumns; // Total columns for header rows
-
-  Logger.log("Daily Date to Sheet Column Map: " + JSON.stringify(Array.from(dailyDateToSheetColMap.entries())));
-
-
-  // --- 5. Populate Chart Rows (Customers then People) ---
-  let currentRow = 3; // Start populating from the third row (after 2 header rows)
-
-  // Populate Milestone Rows
-  currentRow = populateCustomerRows(ganttSheet, milestoneData, dailyDateToSheetColMap, totalHeaderColumns, currentRow); // fixedColumnIndex is 1 for 'Person' column
-
-  // Set column widths of all other columns except the first one to 30
-  for (let i = 2; i <= totalHeaderColumns; i++) {
-    ganttSheet.setColumnWidth(i, 20);
-  }
-
-  // Adjust freezing to include customer rows
-  ganttSheet.setFrozenRows(currentRow - 1); // 2 header rows + number of packed customer rows
-
-  // --- Populate Person/Project Rows ---
-  const projectColors = new Map();
-  const availableColors = [
-    "#ADD8E6", "#90EE90", "#FFDAB9", "#B0E0E6", "#DDA0DD", "#F0E68C",
-    "#87CEEB", "#F5DEB3", "#C0C0C0", "#FFA07A", "#20B2AA", "#E6E6FA",
-    "#FFB6C1", "#AFEEEE", "#F08080", "#DA70D6", "#FFEFD5", "#FFE4B5", "#7FFFD4"
-  ];
-  let colorIndex = 0;
-
-  function getProjectColor(projectIdentifier) {
-    if (!projectColors.has(projectIdentifier)) {
-      projectColors.set(projectIdentifier, availableColors[colorIndex % availableColors.length]);
-      colorIndex++;
+    if (!clipToDateWindow(projectData, timelineOptions.windowStart, timelineOptions.windowEnd)) {
+      return;
     }
-    return projectColors.get(projectIdentifier);
-  }
-
-  const sortedPeople = Array.from(projectsByPerson.keys()).sort();
-  const personStartRows = new Map();
-
-  sortedPeople.forEach(person => {
-    personStartRows.set(person, currentRow);
-
-    const personProjects = projectsByPerson.get(person);
-    personProjects.sort((a, b) => a.startDate.getTime() - b.startDate.getTime());
-
-    const packedRows = [];
-
-    personProjects.forEach(projectData => {
-      let placed = false;
-      for (let i = 0; i < packedRows.length; i++) {
-        const currentRowProjects = packedRows[i];
-        let canPlaceInRow = true;
-
-        for (let j = 0; j < currentRowProjects.length; j++) {
-          const existingProject = currentRowProjects[j];
-          if (projectData.startDate <= existingProject.endDate && projectData.endDate >= existingProject.startDate) {
-            canPlaceInRow = false;
-            break;
-          }
-        }
 
-        if (canPlaceInRow) {
-          currentRowProjects.push(projectData);
-          placed = true;
-          break;
-        }
-      }
-
-      if (!placed) {
-        packedRows.push([projectData]);
-      }
-    });
-
-    packedRows.forEach((rowProjects, rowIndex) => {
-      ganttSheet.getRange(currentRow, 1).setValue(person);
-      ganttSheet.getRange(currentRow, 1).setBackground("#FFFFFF"); // White fill for Person column
-
-      // Set default background for the rest of the row (date columns)
-      ganttSheet.getRange(currentRow, 2, 1, totalHeaderColumns - 1).setBackground("#cccccc"); // Light grey for empty cells
-
-      rowProjects.forEach(projectData => {
-        const projectColor = getProjectColor(projectData.key);
-
-        const projectStartDate = projectData.startDate;
-        const projectEndDate = projectData.endDate;
-
-        let startSheetCol = dailyDateToSheetColMap.get(projectStartDate.toISOString().slice(0, 10));
-        let endSheetCol = dailyDateToSheetColMap.get(projectEndDate.toISOString().slice(0, 10));
-
-        // Ensure startSheetCol and endSheetCol are valid numbers and within bounds
-        if (typeof startSheetCol !== 'number' || startSheetCol < 2) { // Minimum 2 for the first date column (after person column)
-          startSheetCol = 2;
-        }
-        if (typeof endSheetCol !== 'number' || endSheetCol < 2) {
-          endSheetCol = totalHeaderColumns;
-        }
-        if (startSheetCol > endSheetCol) {
-          endSheetCol = startSheetCol;
-        }
-
-        const numColsToColor = endSheetCol - startSheetCol + 1;
-
-        if (numColsToColor > 0) {
-          const rangeToColor = ganttSheet.getRange(currentRow, startSheetCol, 1, numColsToColor);
-          rangeToColor.breakApart();
-          rangeToColor.merge();
-          rangeToColor.setBackground(projectColor);
-          rangeToColor.setBorder(true, true, true, true, true, true); // Apply border to filled cells
-          rangeToColor.setWrap(true); // Wrap text in merged cells
-
-          let projectDisplayName = projectData.summary;
-          let jiraUrl = null;
-
-          if (projectData.key) {
-            jiraUrl = JIRA_BASE_URL + projectData.key;
-          }
-
-          // Set the project display name
-          if (jiraUrl) {
-            const richTextValue = SpreadsheetApp.newRichTextValue()
-              .setText(projectDisplayName)
-              .setLinkUrl(jiraUrl)
-              .build();
-            rangeToColor.setRichTextValue(richTextValue);
-          } else {
-            rangeToColor.setValue(projectDisplayName);
-          }
-
-          rangeToColor.setHorizontalAlignment("left");
-          rangeToColor.setVerticalAlignment("middle");
-        }
-      });
-      currentRow++;
-    });
+    assignments.push(projectData);
   });
 
-  // --- 6. Formatting and Adjustments ---
-  ganttSheet.setFrozenColumns(1);
+  return assignments;
+}
 
-  ganttSheet.autoResizeColumn(1);
+/**
+ * Clears the destination sheet for a new chart, or creates it if it does not exist.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the sheet.
+ * @param {string} destinationSheetName The name of the sheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The empty sheet.
+ */
+function prepareGanttSheet(spreadsheet, destinationSheetName) {
+  let ganttSheet = spreadsheet.getSheetByName(destinationSheetName);
+  if (ganttSheet) {
+    if (ganttSheet.getMaxRows() > 0 && ganttSheet.getMaxColumns() > 0) {
+      ganttSheet.getRange(1, 1, ganttSheet.getMaxRows(), ganttSheet.getMaxColumns()).breakApart();
+      ganttSheet.showColumns(1, ganttSheet.getMaxColumns()); // Charts used to hide the columns before today
+    }
+    ganttSheet.setFrozenRows(0);
+    ganttSheet.setFrozenColumns(0);
+    ganttSheet.clearContents();
+    ganttSheet.clearFormats();
+    ganttSheet.clearNotes();
+    ganttSheet.clearConditionalFormatRules();
+    clearRowGroups(ganttSheet);
+  } else {
+    ganttSheet = spreadsheet.insertSheet(destinationSheetName);
+  }
+  return ganttSheet;
+}
 
-  ganttSheet.getRange(1, 1, 2, totalHeaderColumns).setHorizontalAlignment("center");
+/**
+ * Sets the date window to a term's dates when the window is given as a term, in place.
+ * @param {Object} timelineOptions The options returned by normalizeTimelineOptions().
+ * @param {Array<Object>} terms The terms returned by getTimelineTerms().
+ * @returns {boolean} False if the window's term is not one of the terms (the user has been told).
+ */
+function resolveTermWindow(timelineOptions, terms) {
+  if (!timelineOptions.windowTerm) {
+    return true;
+  }
+  const term = terms.find(candidate => candidate.name === timelineOptions.windowTerm);
+  if (!term) {
+    Logger.log(`Error: Window term '${timelineOptions.windowTerm}' not found.`);
+    showMessage("Error", `Term '${timelineOptions.windowTerm}' not found. The terms are: ${terms.map(candidate => candidate.name).join(", ")}.`);
+    return false;
+  }
+  timelineOptions.windowStart = term.startDate;
+  timelineOptions.windowEnd = term.endDate;
+  return true;
+}
 
-  if (ganttSheet.getMaxRows() > 0) {
-      // After all header formatting, set row heights for header rows
-    ganttSheet.setRowHeights(1, 2, 25);
-    ganttSheet.setRowHeights(3, currentRow - 1, 50);
+/**
+ * Clips an item's date range to an optional date window, in place. A clipped item keeps its own dates as
+ * originalStartDate or originalEndDate, so its bar can show that it continues (see markContinuingBar()).
+ * @param {{startDate: Date, endDate: Date}} item The project or milestone to clip.
+ * @param {?Date} windowStart The first date of the window, or null for no lower bound.
+ * @param {?Date} windowEnd The last date of the window, or null for no upper bound.
+ * @returns {boolean} False if the item lies entirely outside the window and should be skipped.
+ */
+function clipToDateWindow(item, windowStart, windowEnd) {
+  if ((windowStart && item.endDate < windowStart) || (windowEnd && item.startDate > windowEnd)) {
+    return false;
   }
+  if (windowStart && item.startDate < windowStart) {
+    item.originalStartDate = item.startDate;
+    item.startDate = new Date(windowStart);
+  }
+  if (windowEnd && item.endDate > windowEnd) {
+    item.originalEndDate = item.endDate;
+    item.endDate = new Date(windowEnd);
+  }
+  return true;
 }
 
 /**
  * Reads milestone data from the "Combined" sheet where Person = 'Milestone'.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Combined sheet.
- * @returns {Array<Object>} An array of milestone objects with name, startDate, and endDate.
+ * @param {Set<number>} [skippedRows] Sheet row numbers to leave out, as returned by reportSourceIssues().
+ * @returns {Array<Object>} An array of milestone objects with name, startDate, endDate and type (see getMilestoneType()).
+ *     A deadline given as a range keeps just its end date.
  */
-function getMilestoneData(sheet) {
+function getMilestoneData(sheet, skippedRows) {
   const dataRange = sheet.getDataRange();
   const allData = dataRange.getValues();
   const milestones = [];
@@ -623,30 +568,25 @@ function getMilestoneData(sheet) {
   const summaryCol = headerRow.indexOf("Summary");
   const startCol = headerRow.indexOf("Start Date");
   const endCol = headerRow.indexOf("End Date");
+  const typeCol = headerRow.indexOf(MILESTONE_TYPE_HEADER); // Optional
 
   if (personCol === -1 || summaryCol === -1 || startCol === -1 || endCol === -1) {
     Logger.log("Error: Missing one or more required columns (Person, Summary, Start Date, End Date) in the 'Combined' sheet.");
-    Browser.msgBox("Error", "Missing one or more required columns (Person, Summary, Start Date, End Date) in the 'Combined' sheet. Please check your column headers.", Browser.Buttons.OK);
+    showMessage("Error", "Missing one or more required columns (Person, Summary, Start Date, End Date) in the 'Combined' sheet. Please check your column headers.");
     return milestones;
   }
 
-  dataRows.forEach(row => {
+  dataRows.forEach((row, index) => {
     const person = row[personCol];
     
     // Only process rows where Person = 'Milestone'
-    if (person !== 'Milestone') {
+    if (person !== 'Milestone' || (skippedRows && skippedRows.has(index + 2))) {
       return;
     }
 
     const name = row[summaryCol];
-    let startDate = new Date(row[startCol]);
-    let endDate = new Date(row[endCol]);
-
-    if (isNaN(startDate.getTime())) startDate = null;
-    else startDate.setHours(0, 0, 0, 0);
-
-    if (isNaN(endDate.getTime())) endDate = null;
-    else endDate.setHours(0, 0, 0, 0);
+    let startDate = parseSheetDate(row[startCol]);
+    let endDate = parseSheetDate(row[endCol]);
 
     // Basic validation and fallback for milestone dates
     if (!startDate && !endDate) {
@@ -657,14 +597,16 @@ function getMilestoneData(sheet) {
     if (!endDate) endDate = new Date(startDate);
 
     if (endDate < startDate) {
-      Logger.log(`Warning: Milestone '${name}' end date is before start date. Adjusting end date to start date.`);
-      endDate.setUTCDate(startDate.getUTCDate());
+      Logger.log(`Warning: Milestone '${name}' end date is before start date. Skipping.`);
+      return;
     }
 
+    const type = getMilestoneType(typeCol === -1 ? "" : row[typeCol], startDate, endDate);
     milestones.push({
       name: name,
-      startDate: startDate,
-      endDate: endDate
+      startDate: type === DEADLINE_MILESTONE_TYPE ? new Date(endDate) : startDate,
+      endDate: endDate,
+      type: type
     });
   });
 
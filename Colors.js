@@ -0,0 +1,230 @@
+/**
+ * Bar colors and the color legend.
+ * Each bar's color is derived from a hash of its identifier (the project key, or the value of the optional "Epic" or
+ * "Label" column in the source sheet, or the person on the project timeline), so adding or reordering rows never
+ * recolors other bars. The optional "Colors" sheet overrides the generated colors: each row maps a Key (a project key,
+ * epic, label or person) to a Color, given as a hex code or, with the Color cell left blank, as the cell's fill.
+ * Bar text is black or white, whichever contrasts more with the fill. The people timeline also writes the "Legend"
+ * sheet listing each project with its color.
+ */
+
+// Optional sheet mapping keys to colors
+const COLORS_SHEET_NAME = "Colors";
+
+// Sheet listing each project's color, written with the people timeline
+const LEGEND_SHEET_NAME = "Legend";
+
+// Optional source columns that group projects under one color, in order of preference
+const COLOR_GROUP_HEADERS = ["Epic", "Label"];
+
+// Range of the generated colors: any hue, pastel enough for black text
+const GENERATED_COLOR_SATURATION = { min: 45, max: 75 }; // Percent
+const GENERATED_COLOR_LIGHTNESS = { min: 70, max: 84 }; // Percent
+
+// Text colors for the bars
+const DARK_TEXT_COLOR = "#000000"; // Black
+const LIGHT_TEXT_COLOR = "#FFFFFF"; // White
+
+/**
+ * Finds the color group column in a header row.
+ * @param {Array<*>} headerRow The header row of the source sheet.
+ * @returns {number} The zero-based column index, or -1 if the sheet has no color group column.
+ */
+function findColorGroupColumn(headerRow) {
+  for (const header of COLOR_GROUP_HEADERS) {
+    const col = headerRow.indexOf(header);
+    if (col !== -1) {
+      return col;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Reads the color overrides from the Colors sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the Colors sheet.
+ * @returns {Map<string, string>} Maps each key to its color as #RRGGBB; empty if there is no Colors sheet.
+ */
+function readColorOverrides(spreadsheet) {
+  const overrides = new Map();
+  const colorsSheet = spreadsheet.getSheetByName(COLORS_SHEET_NAME);
+  if (!colorsSheet) {
+    return overrides;
+  }
+
+  const dataRange = colorsSheet.getDataRange();
+  const data = dataRange.getValues();
+  const backgrounds = dataRange.getBackgrounds();
+  const headerRow = data[0] || [];
+  const keyCol = headerRow.indexOf("Key");
+  const colorCol = headerRow.indexOf("Color");
+  if (keyCol === -1 || colorCol === -1) {
+    Logger.log(`Warning: The '${COLORS_SHEET_NAME}' sheet needs Key and Color columns. Ignoring it.`);
+    return overrides;
+  }
+
+  data.slice(1).forEach((row, index) => {
+    const key = String(row[keyCol]).trim();
+    if (!key) {
+      return;
+    }
+    const value = String(row[colorCol]).trim();
+    const fill = backgrounds[index + 1][colorCol].toUpperCase();
+    const color = value ? normalizeHexColor(value) : (fill !== "#FFFFFF" ? fill : null);
+    if (!color) {
+      Logger.log(`Warning: Color '${value}' for '${key}' in the '${COLORS_SHEET_NAME}' sheet is not a hex color like #A4C2F4. Using the generated color.`);
+      return;
+    }
+    overrides.set(key, color);
+  });
+
+  return overrides;
+}
+
+/**
+ * Normalizes a hex color code.
+ * @param {string} value The color, as #RGB or #RRGGBB (the # is optional).
+ * @returns {?string} The color as upper-case #RRGGBB, or null if the value is not a hex color.
+ */
+function normalizeHexColor(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+  if (!match) {
+    return null;
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+  return `#${hex.toUpperCase()}`;
+}
+
+/**
+ * Hashes a string with 32-bit FNV-1a, which spreads similar keys (PROJ-1, PROJ-2) far apart.
+ * @param {string} text The text to hash.
+ * @returns {number} The hash, an unsigned 32-bit integer.
+ */
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Converts an HSL color to hex.
+ * @param {number} hue The hue in degrees, 0 to 359.
+ * @param {number} saturation The saturation in percent.
+ * @param {number} lightness The lightness in percent.
+ * @returns {string} The color as #RRGGBB.
+ */
+function hslToHex(hue, saturation, lightness) {
+  const s = saturation / 100;
+  const l = lightness / 100;
+  const chroma = s * Math.min(l, 1 - l);
+  const channel = n => {
+    const k = (n + hue / 30) % 12;
+    const value = l - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, "0");
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`.toUpperCase();
+}
+
+/**
+ * Derives a color from an identifier; the same identifier always gets the same color.
+ * @param {string} identifier The project key, epic, label or person.
+ * @returns {string} The color as #RRGGBB.
+ */
+function getGeneratedColor(identifier) {
+  const hash = hashString(String(identifier));
+  const hue = hash % 360;
+  const saturation = GENERATED_COLOR_SATURATION.min + (hash >>> 9) % (GENERATED_COLOR_SATURATION.max - GENERATED_COLOR_SATURATION.min + 1);
+  const lightness = GENERATED_COLOR_LIGHTNESS.min + (hash >>> 17) % (GENERATED_COLOR_LIGHTNESS.max - GENERATED_COLOR_LIGHTNESS.min + 1);
+  return hslToHex(hue, saturation, lightness);
+}
+
+/**
+ * Picks the text color with the higher contrast ratio (WCAG 2) against a fill.
+ * @param {string} background The fill as #RRGGBB.
+ * @returns {string} DARK_TEXT_COLOR or LIGHT_TEXT_COLOR.
+ */
+function getContrastTextColor(background) {
+  const hex = normalizeHexColor(String(background || ""));
+  if (!hex) {
+    return DARK_TEXT_COLOR;
+  }
+  const linear = offset => {
+    const value = parseInt(hex.substr(offset, 2), 16) / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  };
+  const luminance = 0.2126 * linear(1) + 0.7152 * linear(3) + 0.0722 * linear(5);
+  const contrastWithDark = (luminance + 0.05) / 0.05;
+  const contrastWithLight = 1.05 / (luminance + 0.05);
+  return contrastWithDark >= contrastWithLight ? DARK_TEXT_COLOR : LIGHT_TEXT_COLOR;
+}
+
+/**
+ * Returns a function that maps identifiers to bar colors: the Colors sheet's color if it has one, else the generated color.
+ * @param {Map<string, string>} colorOverrides The overrides returned by readColorOverrides().
+ * @returns {function(string): string} Maps an identifier (project key, epic, person, ...) to its color.
+ */
+function createColorPicker(colorOverrides) {
+  return function (identifier) {
+    const key = String(identifier).trim();
+    return colorOverrides.get(key) || getGeneratedColor(key);
+  };
+}
+
+/**
+ * Gives the identifier a people timeline bar is colored by.
+ * @param {{key: string, summary: string, colorGroup: string}} assignment The assignment, as returned by readTimelineAssignments().
+ * @param {Map<string, string>} colorOverrides The overrides returned by readColorOverrides().
+ * @returns {string} The project key when the Colors sheet has a color for it, else the epic or label, else the key
+ *     (or the summary for rows without one).
+ */
+function getProjectColorKey(assignment, colorOverrides) {
+  const key = String(assignment.key || "").trim();
+  if (key && colorOverrides.has(key)) {
+    return key;
+  }
+  return assignment.colorGroup || key || String(assignment.summary || "");
+}
+
+/**
+ * Writes the Legend sheet: each project on the people timeline with its summary, color group and color.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to write to.
+ * @param {Array<Object>} assignments The assignments returned by readTimelineAssignments().
+ * @param {Map<string, string>} colorOverrides The overrides returned by readColorOverrides().
+ */
+function writeLegendSheet(spreadsheet, assignments, colorOverrides) {
+  const getColor = createColorPicker(colorOverrides);
+  const projects = new Map();
+  assignments.forEach(assignment => {
+    const id = assignment.key || assignment.summary;
+    if (!projects.has(id)) {
+      projects.set(id, assignment);
+    }
+  });
+
+  const numColumns = 4;
+  const buffer = createRenderBuffer(numColumns);
+  ["Color", "Project", "Summary", "Epic / Label"].forEach((header, index) => setBufferValue(buffer, 1, index + 1, header));
+  formatBufferRange(buffer, 1, 1, 1, numColumns, { fontWeight: "bold", background: "#D3D3D3" });
+
+  let currentRow = 2;
+  Array.from(projects.values())
+    .sort((a, b) => String(a.key || a.summary).localeCompare(String(b.key || b.summary)))
+    .forEach(project => {
+      const colorKey = getProjectColorKey(project, colorOverrides);
+      const color = getColor(colorKey);
+      setBufferValue(buffer, currentRow, 1, colorOverrides.has(colorKey) ? `${color} (${COLORS_SHEET_NAME} sheet)` : color);
+      formatBufferRange(buffer, currentRow, 1, 1, 1, { background: color, fontColor: getContrastTextColor(color) });
+      setBufferValue(buffer, currentRow, 2, project.key || "", project.key ? JIRA_BASE_URL + project.key : null);
+      setBufferValue(buffer, currentRow, 3, project.summary || "");
+      setBufferValue(buffer, currentRow, 4, project.colorGroup || "");
+      currentRow++;
+    });
+
+  const legendSheet = prepareGanttSheet(spreadsheet, LEGEND_SHEET_NAME);
+  flushRenderBuffer(legendSheet, buffer);
+  legendSheet.setFrozenRows(1);
+  legendSheet.autoResizeColumns(1, numColumns);
+}
@@ -0,0 +1,211 @@
+/**
+ * Date handling shared by every sheet reader, chart and report.
+ * A calendar day is always a Date at UTC midnight of that day, and its YYYY-MM-DD date key (toDateKey()) indexes the
+ * chart columns, holidays and time off. Date cells are read with parseSheetDate(), which takes the day a cell shows in
+ * the spreadsheet's time zone whatever the script's time zone is, and days written back to a sheet go through
+ * toSheetDate(). The work week (the day weeks start on and the weekend days) comes from the timeline options, for
+ * teams whose weekend is not Saturday and Sunday.
+ */
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Format of the date keys, in Utilities.formatDate() notation
+const DATE_KEY_FORMAT = "yyyy-MM-dd";
+
+// Day names by day of the week, 0 for Sunday as in Date.getUTCDay()
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Work week used unless the settings say otherwise: Monday to Friday
+const DEFAULT_WORK_WEEK = { weekStartDay: 1, weekendDays: [6, 0] };
+
+/**
+ * Returns the time zone the spreadsheet displays its dates in.
+ * @returns {string} The time zone ID, e.g. "America/Los_Angeles".
+ */
+function getSpreadsheetTimeZone() {
+  return SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone() || Session.getScriptTimeZone();
+}
+
+/**
+ * Formats a calendar day as its date key.
+ * @param {Date} date The day, at UTC midnight.
+ * @returns {string} The day as YYYY-MM-DD.
+ */
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Turns a date key back into a calendar day.
+ * @param {string} dateKey The day as YYYY-MM-DD.
+ * @returns {Date} The day, at UTC midnight.
+ */
+function fromDateKey(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`);
+}
+
+/**
+ * Adds days to a calendar day.
+ * @param {Date} date The day, at UTC midnight.
+ * @param {number} days The number of days to add, negative to go back.
+ * @returns {Date} The new day, at UTC midnight.
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * ONE_DAY_MS);
+}
+
+/**
+ * Parses a date cell as the calendar day it shows in the spreadsheet.
+ * @param {*} value The raw cell value: a Date, a YYYY-MM-DD string or any other date string.
+ * @returns {?Date} The day at UTC midnight, or null if the cell is blank or not a date.
+ */
+function parseSheetDate(value) {
+  if (value === "" || value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === "string") {
+    const isoMatch = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (isoMatch) {
+      const date = fromDateKey(isoMatch[0]);
+      return isNaN(date.getTime()) || toDateKey(date) !== isoMatch[0] ? null : date; // Rejects e.g. 2025-02-30
+    }
+  }
+  const parsed = value instanceof Date ? value : new Date(value);
+  if (isNaN(parsed.getTime())) {
+    return null;
+  }
+  // Date cells are midnight in the spreadsheet's time zone, which may be a different UTC day
+  return fromDateKey(Utilities.formatDate(parsed, getSpreadsheetTimeZone(), DATE_KEY_FORMAT));
+}
+
+/**
+ * Converts a calendar day into the Date the spreadsheet shows as that day, for writing to a cell.
+ * @param {Date} date The day, at UTC midnight.
+ * @returns {Date} Midnight of that day in the spreadsheet's time zone.
+ */
+function toSheetDate(date) {
+  return Utilities.parseDate(toDateKey(date), getSpreadsheetTimeZone(), DATE_KEY_FORMAT);
+}
+
+/**
+ * Returns today as a calendar day in the spreadsheet's time zone.
+ * @returns {Date} Today, at UTC midnight.
+ */
+function getToday() {
+  return fromDateKey(Utilities.formatDate(new Date(), getSpreadsheetTimeZone(), DATE_KEY_FORMAT));
+}
+
+/**
+ * Lists the calendar days from one date to another, inclusive.
+ * @param {Date} minDate The first day, at UTC midnight.
+ * @param {Date} maxDate The last day, at UTC midnight.
+ * @returns {Array<string>} The days as sorted date keys.
+ */
+function getDailyDateKeys(minDate, maxDate) {
+  const dateKeys = [];
+  for (let current = minDate; current <= maxDate; current = addDays(current, 1)) {
+    dateKeys.push(toDateKey(current));
+  }
+  return dateKeys;
+}
+
+/**
+ * Formats a calendar day as MM/DD.
+ * @param {Date} date The day, at UTC midnight.
+ * @returns {string} The formatted date.
+ */
+function formatUTCMMDD(date) {
+  const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const dd = String(date.getUTCDate()).padStart(2, '0');
+  return mm + '/' + dd;
+}
+
+/**
+ * Checks a work week setting.
+ * @param {*} weekStartDay The day weeks start on, 0 (Sunday) to 6 (Saturday).
+ * @param {Array<*>} weekendDays The days off, 0 (Sunday) to 6 (Saturday).
+ * @returns {{weekStartDay: number, weekendDays: Array<number>}} The work week.
+ * @throws {Error} If a day is out of range or every day is a weekend day.
+ */
+function normalizeWorkWeek(weekStartDay, weekendDays) {
+  const isDay = day => Number.isInteger(day) && day >= 0 && day <= 6;
+  const startDay = Number(weekStartDay);
+  const days = Array.from(new Set((weekendDays || []).map(Number)));
+  if (!isDay(startDay) || !days.every(isDay)) {
+    throw new Error("The work week days must be numbers from 0 (Sunday) to 6 (Saturday).");
+  }
+  if (days.length === WEEKDAY_NAMES.length) {
+    throw new Error("At least one day of the week must be a working day.");
+  }
+  return { weekStartDay: startDay, weekendDays: days };
+}
+
+/**
+ * Tells whether a day is a weekend day.
+ * @param {string} dateKey The day as YYYY-MM-DD.
+ * @param {{weekendDays: Array<number>}} workWeek The work week, see normalizeWorkWeek().
+ * @returns {boolean} True on the weekend.
+ */
+function isWeekendDay(dateKey, workWeek) {
+  return workWeek.weekendDays.indexOf(fromDateKey(dateKey).getUTCDay()) !== -1;
+}
+
+/**
+ * Finds the first day of the week a day is in.
+ * @param {Date} date The day, at UTC midnight.
+ * @param {{weekStartDay: number}} workWeek The work week, see normalizeWorkWeek().
+ * @returns {Date} The first day of its week (the Monday by default), at UTC midnight.
+ */
+function getStartOfWeek(date, workWeek) {
+  return addDays(date, -((date.getUTCDay() - workWeek.weekStartDay + 7) % 7));
+}
+
+/**
+ * Finds the last working day of the week a day is in.
+ * @param {Date} date The day, at UTC midnight.
+ * @param {{weekStartDay: number, weekendDays: Array<number>}} workWeek The work week, see normalizeWorkWeek().
+ * @returns {Date} The last day of its week that is not a weekend day (the Friday by default), at UTC midnight.
+ */
+function getEndOfWeek(date, workWeek) {
+  let endOfWeek = addDays(getStartOfWeek(date, workWeek), 6);
+  while (workWeek.weekendDays.indexOf(endOfWeek.getUTCDay()) !== -1) {
+    endOfWeek = addDays(endOfWeek, -1);
+  }
+  return endOfWeek;
+}
+
+/**
+ * Groups consecutive working days of the same week into work weeks. These are the weekly buckets shown in row 2
+ * of the timeline headers; the first and last week may be partial if the range starts or ends mid-week.
+ * @param {Array<string>} sortedDailyDateKeys Consecutive days as sorted date keys, see getDailyDateKeys().
+ * @param {{weekStartDay: number, weekendDays: Array<number>}} workWeek The work week, see normalizeWorkWeek().
+ * @returns {Array<{startIndex: number, endIndex: number, startDate: Date, endDate: Date, label: string}>} The work weeks, with the indexes of their first and last day in sortedDailyDateKeys.
+ */
+function getWorkWeeks(sortedDailyDateKeys, workWeek) {
+  const workWeeks = [];
+  let i = 0;
+  while (i < sortedDailyDateKeys.length) {
+    if (isWeekendDay(sortedDailyDateKeys[i], workWeek)) {
+      i++;
+      continue;
+    }
+
+    const startDate = fromDateKey(sortedDailyDateKeys[i]);
+    const weekKey = toDateKey(getStartOfWeek(startDate, workWeek));
+    let endIdx = i;
+    while (endIdx + 1 < sortedDailyDateKeys.length && !isWeekendDay(sortedDailyDateKeys[endIdx + 1], workWeek) &&
+        toDateKey(getStartOfWeek(fromDateKey(sortedDailyDateKeys[endIdx + 1]), workWeek)) === weekKey) {
+      endIdx++;
+    }
+    const endDate = fromDateKey(sortedDailyDateKeys[endIdx]);
+    workWeeks.push({
+      startIndex: i,
+      endIndex: endIdx,
+      startDate: startDate,
+      endDate: endDate,
+      label: formatUTCMMDD(startDate) + "-" + formatUTCMMDD(endDate)
+    });
+    i = endIdx + 1;
+  }
+  return workWeeks;
+}
@@ -0,0 +1,339 @@
+/**
+ * Dependencies between projects.
+ * The optional "Depends On" column in the source sheet lists the project keys (comma- or space-separated) that must
+ * finish before the row's project can start. A project's dates span all of its rows, regardless of the people filter
+ * and date window. Dependent bars are prefixed with DEPENDENCY_ICON, or SLIP_ICON when the project starts before a
+ * predecessor ends, and get a note naming the predecessors. The "Dependencies" sheet lists every dependency chain
+ * and the critical path, the chain with the most working days. A project's working days are the days in its span that
+ * are a working day (see Holidays.js) for at least one of the people on it.
+ */
+
+// Header of the optional dependency column
+const DEPENDS_ON_HEADER = "Depends On";
+
+// Name of the sheet listing the dependency chains and the critical path
+const DEPENDENCIES_SHEET_NAME = "Dependencies";
+
+// Bar label prefixes for dependent projects
+const DEPENDENCY_ICON = "⛓";
+const SLIP_ICON = "⚠";
+
+// Fill for slipping projects in the Dependencies sheet
+const SLIP_COLOR = "#F4CCCC"; // Light red
+
+// Limit on the number of chains listed, since a dense graph has exponentially many
+const MAX_DEPENDENCY_CHAINS = 500;
+
+/**
+ * Splits a "Depends On" cell into project keys.
+ * @param {*} value The raw cell value.
+ * @returns {Array<string>} The keys, without duplicates.
+ */
+function parseDependsOn(value) {
+  return Array.from(new Set(String(value || "").split(/[\s,;]+/).map(key => key.trim()).filter(key => key)));
+}
+
+/**
+ * Reads each project's dates and predecessors from the source sheet. Milestone and PTO rows are ignored.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {Set<number>} [skippedRows] Sheet row numbers to leave out, as returned by reportSourceIssues().
+ * @returns {?Map<string, {key: string, summary: string, startDate: Date, endDate: Date, people: Array<string>, dependsOn: Array<string>}>}
+ *     The projects by key, or null if the sheet has no "Depends On" column.
+ */
+function readProjectDependencies(sourceSheet, skippedRows) {
+  const allData = sourceSheet.getDataRange().getValues();
+  const headerRow = allData[0] || [];
+  const dependsOnCol = headerRow.indexOf(DEPENDS_ON_HEADER);
+  const personCol = headerRow.indexOf("Person");
+  const projectCol = headerRow.indexOf("Project");
+  const startCol = headerRow.indexOf("Start Date");
+  const endCol = headerRow.indexOf("End Date");
+  const summaryCol = headerRow.indexOf("Summary");
+  if (dependsOnCol === -1 || personCol === -1 || projectCol === -1 || startCol === -1 || endCol === -1) {
+    return null;
+  }
+
+  const projects = new Map();
+  allData.slice(1).forEach((row, index) => {
+    const key = String(row[projectCol]).trim();
+    if (!key || row[personCol] === "Milestone" || isTimeOffRow(key) || (skippedRows && skippedRows.has(index + 2))) {
+      return;
+    }
+    const startDate = parseSheetDate(row[startCol]);
+    const endDate = parseSheetDate(row[endCol]);
+    if (!startDate || !endDate) {
+      return;
+    }
+
+    if (!projects.has(key)) {
+      projects.set(key, { key: key, summary: "", startDate: startDate, endDate: endDate, people: [], dependsOn: [] });
+    }
+    const project = projects.get(key);
+    if (project.people.indexOf(row[personCol]) === -1) {
+      project.people.push(row[personCol]);
+    }
+    if (!project.summary && summaryCol !== -1) {
+      project.summary = String(row[summaryCol]);
+    }
+    if (startDate < project.startDate) project.startDate = startDate;
+    if (endDate > project.endDate) project.endDate = endDate;
+    parseDependsOn(row[dependsOnCol]).forEach(predecessorKey => {
+      if (predecessorKey !== key && project.dependsOn.indexOf(predecessorKey) === -1) {
+        project.dependsOn.push(predecessorKey);
+      }
+    });
+  });
+
+  return projects;
+}
+
+/**
+ * Checks a project against its predecessors.
+ * @param {Map<string, Object>} projects The projects returned by readProjectDependencies().
+ * @param {string} key The project key.
+ * @returns {Array<{key: string, endDate: ?Date, isKnown: boolean, isSlipping: boolean}>} One entry per predecessor.
+ */
+function getPredecessorStatus(projects, key) {
+  const project = projects.get(key);
+  if (!project) {
+    return [];
+  }
+  return project.dependsOn.map(predecessorKey => {
+    const predecessor = projects.get(predecessorKey);
+    return {
+      key: predecessorKey,
+      endDate: predecessor ? predecessor.endDate : null,
+      isKnown: Boolean(predecessor),
+      // Finish-to-start: the project may only start the day after its predecessor's last day
+      isSlipping: Boolean(predecessor) && project.startDate <= predecessor.endDate
+    };
+  });
+}
+
+/**
+ * Adds the dependency icon and note to a bar, if the project depends on others.
+ * @param {{text: string, linkUrl: ?string, color: string}} bar The bar, as passed to drawBarBlock().
+ * @param {?Map<string, Object>} projects The projects returned by readProjectDependencies(), or null without dependencies.
+ * @param {string} key The bar's project key.
+ * @returns {{text: string, linkUrl: ?string, color: string, note: (string|undefined)}} The bar, marked if needed.
+ */
+function markDependentBar(bar, projects, key) {
+  const predecessors = projects ? getPredecessorStatus(projects, key) : [];
+  if (predecessors.length === 0) {
+    return bar;
+  }
+
+  const isSlipping = predecessors.some(predecessor => predecessor.isSlipping);
+  const noteLines = predecessors.map(predecessor => {
+    if (!predecessor.isKnown) {
+      return `Depends on ${predecessor.key} (not in the source sheet)`;
+    }
+    const line = `Depends on ${predecessor.key} (ends ${toDateKey(predecessor.endDate)})`;
+    return predecessor.isSlipping ? `${line}: starts before it is finished` : line;
+  });
+
+  return Object.assign({}, bar, {
+    text: `${isSlipping ? SLIP_ICON : DEPENDENCY_ICON} ${bar.text}`,
+    note: noteLines.join("\n")
+  });
+}
+
+/**
+ * Counts the working days a project spans: days that are a working day for at least one of the people on it.
+ * @param {{startDate: Date, endDate: Date, people: Array<string>}} project The project.
+ * @param {Object} calendar The calendar returned by loadWorkingDayCalendar().
+ * @returns {number} The number of working days from start to end, inclusive.
+ */
+function countProjectWorkingDays(project, calendar) {
+  return getDailyDateKeys(project.startDate, project.endDate)
+    .filter(dateIso => project.people.some(person => calendar.isWorkingDay(dateIso, person))).length;
+}
+
+/**
+ * Lists every dependency chain: each path from a project nothing it depends on is in the sheet, to a project
+ * nothing depends on. Projects without any dependency either way are not part of a chain.
+ * @param {Map<string, Object>} projects The projects returned by readProjectDependencies().
+ * @returns {{chains: Array<Array<string>>, cycles: Array<Array<string>>, isTruncated: boolean}}
+ *     The chains as lists of keys in order, any dependency cycles found, and whether MAX_DEPENDENCY_CHAINS was hit.
+ */
+function findDependencyChains(projects) {
+  const successors = new Map();
+  projects.forEach(project => {
+    project.dependsOn.filter(key => projects.has(key)).forEach(predecessorKey => {
+      if (!successors.has(predecessorKey)) {
+        successors.set(predecessorKey, []);
+      }
+      successors.get(predecessorKey).push(project.key);
+    });
+  });
+
+  const chains = [];
+  const cycles = [];
+  const cycleIds = new Set();
+  let isTruncated = false;
+
+  const walk = path => {
+    if (chains.length >= MAX_DEPENDENCY_CHAINS) {
+      isTruncated = true;
+      return;
+    }
+    const next = successors.get(path[path.length - 1]) || [];
+    if (next.length === 0) {
+      chains.push(path);
+      return;
+    }
+    next.forEach(key => {
+      const cycleStart = path.indexOf(key);
+      if (cycleStart !== -1) {
+        const cycle = path.slice(cycleStart);
+        const cycleId = cycle.slice().sort().join(",");
+        if (!cycleIds.has(cycleId)) {
+          cycleIds.add(cycleId);
+          cycles.push(cycle.concat([key]));
+        }
+        return;
+      }
+      walk(path.concat([key]));
+    });
+  };
+
+  // Roots depend on nothing in the sheet but have successors
+  const roots = Array.from(successors.keys())
+    .filter(key => projects.get(key).dependsOn.every(predecessorKey => !projects.has(predecessorKey)))
+    .sort();
+  roots.forEach(key => walk([key]));
+
+  // Projects only reachable through a cycle have no root; start from them so the cycle is still reported
+  projects.forEach(project => {
+    const isChained = chains.some(chain => chain.indexOf(project.key) !== -1);
+    if (!isChained && successors.has(project.key) && !cycles.some(cycle => cycle.indexOf(project.key) !== -1)) {
+      walk([project.key]);
+    }
+  });
+
+  return { chains: chains, cycles: cycles, isTruncated: isTruncated };
+}
+
+/**
+ * Finds the critical path: the chain whose projects add up to the most working days.
+ * @param {Map<string, Object>} projects The projects returned by readProjectDependencies().
+ * @param {Array<Array<string>>} chains The chains returned by findDependencyChains().
+ * @param {Object} calendar The calendar returned by loadWorkingDayCalendar().
+ * @returns {?Array<string>} The keys on the critical path, or null if there are no chains.
+ */
+function findCriticalPath(projects, chains, calendar) {
+  let criticalPath = null;
+  let longestWorkingDays = -1;
+  chains.forEach(chain => {
+    const workingDays = chain.reduce((total, key) => total + countProjectWorkingDays(projects.get(key), calendar), 0);
+    if (workingDays > longestWorkingDays) {
+      longestWorkingDays = workingDays;
+      criticalPath = chain;
+    }
+  });
+  return criticalPath;
+}
+
+/**
+ * Writes the dependency chains and the critical path to the Dependencies sheet, replacing its contents.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to write to.
+ * @param {Map<string, Object>} projects The projects returned by readProjectDependencies().
+ * @param {Object} calendar The calendar the working days are counted in, see loadWorkingDayCalendar().
+ */
+function writeDependenciesSheet(spreadsheet, projects, calendar) {
+  const numColumns = 7;
+  const buffer = createRenderBuffer(numColumns);
+  const found = findDependencyChains(projects);
+  const isSlipping = key => getPredecessorStatus(projects, key).some(predecessor => predecessor.isSlipping);
+  let currentRow = 1;
+
+  const writeTitle = title => {
+    setBufferValue(buffer, currentRow, 1, title);
+    formatBufferRange(buffer, currentRow, 1, 1, 1, { fontWeight: "bold", fontSize: 12 });
+    currentRow++;
+  };
+  const writeHeaders = headers => {
+    headers.forEach((header, index) => setBufferValue(buffer, currentRow, index + 1, header));
+    formatBufferRange(buffer, currentRow, 1, 1, headers.length, { fontWeight: "bold", background: "#D3D3D3" });
+    currentRow++;
+  };
+  // Writes keys joined by arrows, each key linked to JIRA
+  const writeKeyList = (column, keys) => {
+    const links = [];
+    let text = "";
+    keys.forEach((key, index) => {
+      if (index > 0) {
+        text += " → ";
+      }
+      links.push({ start: text.length, end: text.length + key.length, url: JIRA_BASE_URL + key });
+      text += key;
+    });
+    setBufferValue(buffer, currentRow, column, text, links);
+  };
+
+  // --- 1. Chains ---
+  writeTitle("Dependency chains");
+  writeHeaders(["Chain", "Start", "End", "Working days", "Slipping"]);
+  if (found.chains.length === 0) {
+    setBufferValue(buffer, currentRow++, 1, "No dependencies found.");
+  }
+  found.chains.forEach(chain => {
+    const slipping = chain.filter(isSlipping);
+    writeKeyList(1, chain);
+    setBufferValue(buffer, currentRow, 2, projects.get(chain[0]).startDate);
+    setBufferValue(buffer, currentRow, 3, projects.get(chain[chain.length - 1]).endDate);
+    setBufferValue(buffer, currentRow, 4, chain.reduce((total, key) => total + countProjectWorkingDays(projects.get(key), calendar), 0));
+    setBufferValue(buffer, currentRow, 5, slipping.join(", "));
+    if (slipping.length > 0) {
+      formatBufferRange(buffer, currentRow, 5, 1, 1, { background: SLIP_COLOR });
+    }
+    currentRow++;
+  });
+  if (found.isTruncated) {
+    setBufferValue(buffer, currentRow++, 1, `Only the first ${MAX_DEPENDENCY_CHAINS} chains are listed.`);
+  }
+
+  // --- 2. Critical path ---
+  const criticalPath = findCriticalPath(projects, found.chains, calendar);
+  if (criticalPath) {
+    currentRow++;
+    writeTitle("Critical path");
+    writeHeaders(["Step", "Project", "Summary", "Start", "End", "Working days", "Status"]);
+    criticalPath.forEach((key, index) => {
+      const project = projects.get(key);
+      const status = getPredecessorStatus(projects, key).filter(predecessor => predecessor.isSlipping);
+      setBufferValue(buffer, currentRow, 1, index + 1);
+      setBufferValue(buffer, currentRow, 2, key, JIRA_BASE_URL + key);
+      setBufferValue(buffer, currentRow, 3, project.summary);
+      setBufferValue(buffer, currentRow, 4, project.startDate);
+      setBufferValue(buffer, currentRow, 5, project.endDate);
+      setBufferValue(buffer, currentRow, 6, countProjectWorkingDays(project, calendar));
+      if (status.length > 0) {
+        setBufferValue(buffer, currentRow, 7, `Starts before ${status.map(predecessor => predecessor.key).join(", ")} ends`);
+        formatBufferRange(buffer, currentRow, 7, 1, 1, { background: SLIP_COLOR });
+      } else {
+        setBufferValue(buffer, currentRow, 7, "On track");
+      }
+      currentRow++;
+    });
+    setBufferValue(buffer, currentRow, 1, "Total");
+    setBufferValue(buffer, currentRow, 6, criticalPath.reduce((total, key) => total + countProjectWorkingDays(projects.get(key), calendar), 0));
+    formatBufferRange(buffer, currentRow, 1, 1, numColumns, { fontWeight: "bold" });
+    currentRow++;
+  }
+
+  // --- 3. Cycles ---
+  if (found.cycles.length > 0) {
+    currentRow++;
+    writeTitle("Dependency cycles (these projects can never start)");
+    found.cycles.forEach(cycle => {
+      writeKeyList(1, cycle);
+      formatBufferRange(buffer, currentRow, 1, 1, 1, { background: SLIP_COLOR });
+      currentRow++;
+    });
+  }
+
+  const dependenciesSheet = prepareGanttSheet(spreadsheet, DEPENDENCIES_SHEET_NAME);
+  flushRenderBuffer(dependenciesSheet, buffer);
+  dependenciesSheet.autoResizeColumns(1, numColumns);
+}
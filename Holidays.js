@@ -0,0 +1,289 @@
+/**
+ * Company holidays and personal time off (PTO).
+ * Holidays come from a "Holidays" sheet with columns: Date, Name and an optional End Date for multi-day holidays.
+ * PTO comes from rows in the source sheet whose Project is "PTO", using the row's Person, Start Date and End Date.
+ * Holidays are shaded in the weekly header (with the name as a note) and in every chart row; PTO is shaded and
+ * labeled on the person's rows. Project bars leave a gap on both, and the capacity report counts neither as a working day.
+ */
+
+// Name of the sheet holding the company holidays
+const HOLIDAYS_SHEET_NAME = "Holidays";
+
+// Project value that marks a source row as time off rather than project work
+const PTO_PROJECT_KEY = "PTO";
+
+// Fill for holiday columns
+const HOLIDAY_COLOR = "#999999"; // Dark grey
+
+// Fill for a person's time off
+const PTO_COLOR = "#FFE599"; // Light yellow
+
+/**
+ * Reads the company holidays. A missing Holidays sheet means there are no holidays.
+ * Rows with unusable dates are skipped with a warning.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to read from.
+ * @returns {Map<string, string>} Maps each holiday's YYYY-MM-DD key to its name.
+ */
+function readHolidays(spreadsheet) {
+  const holidays = new Map();
+  const sheet = spreadsheet.getSheetByName(HOLIDAYS_SHEET_NAME);
+  if (!sheet) {
+    return holidays;
+  }
+
+  const allData = sheet.getDataRange().getValues();
+  if (allData.length < 2) {
+    return holidays;
+  }
+
+  const headerRow = allData[0];
+  const dateCol = headerRow.indexOf("Date") !== -1 ? headerRow.indexOf("Date") : headerRow.indexOf("Start Date");
+  const endCol = headerRow.indexOf("End Date");
+  const nameCol = headerRow.indexOf("Name");
+
+  if (dateCol === -1) {
+    Logger.log(`Warning: The '${HOLIDAYS_SHEET_NAME}' sheet has no 'Date' column. Ignoring holidays.`);
+    return holidays;
+  }
+
+  allData.slice(1).forEach((row, index) => {
+    const name = nameCol === -1 ? "Holiday" : String(row[nameCol]).trim() || "Holiday";
+    const startDate = parseSheetDate(row[dateCol]);
+    const endDate = endCol === -1 || row[endCol] === "" ? startDate : parseSheetDate(row[endCol]);
+
+    if (!startDate || !endDate || endDate < startDate) {
+      if (row.some(value => value !== "")) {
+        Logger.log(`Warning: '${HOLIDAYS_SHEET_NAME}' row ${index + 2} ('${name}') has no valid date range. Skipping.`);
+      }
+      return;
+    }
+
+    getDailyDateKeys(startDate, endDate).forEach(dateIso => holidays.set(dateIso, name));
+  });
+
+  return holidays;
+}
+
+/**
+ * Tells whether a source row's Project value marks it as time off.
+ * @param {*} projectKey The row's Project value.
+ * @returns {boolean} True for PTO rows.
+ */
+function isTimeOffRow(projectKey) {
+  return String(projectKey).trim().toUpperCase() === PTO_PROJECT_KEY;
+}
+
+/**
+ * Reads the PTO rows from the source sheet, applying the people filter and date window from the timeline options.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {Object} timelineOptions The options returned by normalizeTimelineOptions().
+ * @param {Set<number>} [skippedRows] Sheet row numbers to leave out, as returned by reportSourceIssues().
+ * @returns {Map<string, Set<string>>} Maps each person to the YYYY-MM-DD keys of their days off.
+ */
+function readTimeOff(sourceSheet, timelineOptions, skippedRows) {
+  const timeOffByPerson = new Map();
+  const allData = sourceSheet.getDataRange().getValues();
+  if (allData.length < 2) {
+    return timeOffByPerson;
+  }
+
+  const headerRow = allData[0];
+  const personCol = headerRow.indexOf("Person");
+  const projectCol = headerRow.indexOf("Project");
+  const startCol = headerRow.indexOf("Start Date");
+  const endCol = headerRow.indexOf("End Date");
+  if (personCol === -1 || projectCol === -1 || startCol === -1 || endCol === -1) {
+    return timeOffByPerson;
+  }
+
+  const peopleFilter = new Set(timelineOptions.people);
+
+  allData.slice(1).forEach((row, index) => {
+    const person = row[personCol];
+    if (!isTimeOffRow(row[projectCol]) || (peopleFilter.size > 0 && !peopleFilter.has(person)) || (skippedRows && skippedRows.has(index + 2))) {
+      return;
+    }
+
+    const timeOff = { startDate: parseSheetDate(row[startCol]), endDate: parseSheetDate(row[endCol]) };
+    if (!timeOff.startDate || !timeOff.endDate) {
+      Logger.log(`Warning: PTO for '${person}' has no valid start or end date. Skipping.`);
+      return;
+    }
+
+    if (timeOff.endDate < timeOff.startDate || !clipToDateWindow(timeOff, timelineOptions.windowStart, timelineOptions.windowEnd)) {
+      return;
+    }
+
+    if (!timeOffByPerson.has(person)) {
+      timeOffByPerson.set(person, new Set());
+    }
+    getDailyDateKeys(timeOff.startDate, timeOff.endDate).forEach(dateIso => timeOffByPerson.get(person).add(dateIso));
+  });
+
+  return timeOffByPerson;
+}
+
+/**
+ * Creates the working-day calendar: days outside the weekend that are neither a company holiday nor the person's time off.
+ * @param {Map<string, string>} holidays The holidays returned by readHolidays().
+ * @param {Map<string, Set<string>>} timeOffByPerson The time off returned by readTimeOff().
+ * @param {{weekStartDay: number, weekendDays: Array<number>}} workWeek The work week, see normalizeWorkWeek().
+ * @returns {{holidays: Map<string, string>, timeOffByPerson: Map<string, Set<string>>, workWeek: Object, isWorkingDay: function(string, string=): boolean}} The calendar.
+ */
+function createWorkingDayCalendar(holidays, timeOffByPerson, workWeek) {
+  return {
+    holidays: holidays,
+    timeOffByPerson: timeOffByPerson,
+    workWeek: workWeek,
+    isWorkingDay: function (dateIso, person) {
+      if (isWeekendDay(dateIso, workWeek) || holidays.has(dateIso)) {
+        return false;
+      }
+      return !(person !== undefined && timeOffByPerson.has(person) && timeOffByPerson.get(person).has(dateIso));
+    }
+  };
+}
+
+/**
+ * Reads the holidays and the PTO rows into a working-day calendar.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the Holidays sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet The sheet holding the PTO rows.
+ * @param {Object} timelineOptions The options returned by normalizeTimelineOptions().
+ * @param {Set<number>} [skippedRows] Sheet row numbers to leave out, as returned by reportSourceIssues().
+ * @returns {Object} The calendar, see createWorkingDayCalendar().
+ */
+function loadWorkingDayCalendar(spreadsheet, sourceSheet, timelineOptions, skippedRows) {
+  return createWorkingDayCalendar(readHolidays(spreadsheet), readTimeOff(sourceSheet, timelineOptions, skippedRows), timelineOptions.workWeek);
+}
+
+/**
+ * Finds the chart columns that are holidays or, if a person is given, that person's time off.
+ * At "week" and "month" zoom a column covers several days; it is blocked only if none of its days is a working day.
+ * @param {Object} calendar The calendar returned by loadWorkingDayCalendar().
+ * @param {?string} person The person whose time off to include, or null for holidays only.
+ * @param {Map<string, number>} dailyDateToSheetColMap Maps YYYY-MM-DD to its sheet column index.
+ * @returns {Map<number, string>} Maps each blocked column to its fill color. Time off wins over a holiday.
+ */
+function getBlockedColumns(calendar, person, dailyDateToSheetColMap) {
+  const timeOff = person !== null && calendar.timeOffByPerson.has(person) ? calendar.timeOffByPerson.get(person) : new Set();
+  const daysByColumn = new Map(); // Maps each column to how many of its days are working days, holidays and time off
+  dailyDateToSheetColMap.forEach((column, dateIso) => {
+    if (!daysByColumn.has(column)) {
+      daysByColumn.set(column, { working: 0, holiday: 0, timeOff: 0 });
+    }
+    const days = daysByColumn.get(column);
+    if (timeOff.has(dateIso)) {
+      days.timeOff++;
+    } else if (calendar.holidays.has(dateIso)) {
+      days.holiday++;
+    } else if (calendar.isWorkingDay(dateIso)) {
+      days.working++;
+    }
+  });
+
+  const blockedColumns = new Map();
+  daysByColumn.forEach((days, column) => {
+    if (days.working === 0 && days.timeOff > 0) {
+      blockedColumns.set(column, PTO_COLOR);
+    } else if (days.working === 0 && days.holiday > 0) {
+      blockedColumns.set(column, HOLIDAY_COLOR);
+    }
+  });
+  return blockedColumns;
+}
+
+/**
+ * Fills the date columns of an empty chart row: light grey, with the blocked columns in their own color.
+ * Must run before bars are drawn on the row, so the bars' own fill wins.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The row to fill.
+ * @param {number} totalHeaderColumns The total number of columns in the chart.
+ * @param {Map<number, string>} blockedColumns The columns to shade, see getBlockedColumns().
+ */
+function fillEmptyChartRow(buffer, row, totalHeaderColumns, blockedColumns) {
+  formatBufferRange(buffer, row, 2, 1, totalHeaderColumns - 1, { background: "#cccccc" }); // Light grey for empty cells
+  blockedColumns.forEach((color, column) => formatBufferRange(buffer, row, column, 1, 1, { background: color }));
+}
+
+/**
+ * Splits the columns from startCol to endCol into runs that skip the blocked columns.
+ * @param {number} startCol The first column.
+ * @param {number} endCol The last column.
+ * @param {Map<number, *>} blockedColumns The columns to skip.
+ * @returns {Array<{startCol: number, endCol: number}>} The runs, in column order.
+ */
+function splitAtBlockedColumns(startCol, endCol, blockedColumns) {
+  const runs = [];
+  let runStart = null;
+  for (let col = startCol; col <= endCol + 1; col++) {
+    const isOpen = col <= endCol && !blockedColumns.has(col);
+    if (isOpen && runStart === null) {
+      runStart = col;
+    } else if (!isOpen && runStart !== null) {
+      runs.push({ startCol: runStart, endCol: col - 1 });
+      runStart = null;
+    }
+  }
+  return runs;
+}
+
+/**
+ * Draws a bar like drawBarBlock(), leaving a gap at each blocked column it crosses and splitting it at the today and deadline markers.
+ * The label goes on the widest piece; the gaps keep the holiday or time-off color.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The row to draw on.
+ * @param {number} startCol The first column of the bar.
+ * @param {number} endCol The last column of the bar.
+ * @param {Object} bar The bar, as passed to drawBarBlock().
+ * @param {Map<number, string>} blockedColumns The columns to leave open, see getBlockedColumns().
+ */
+function drawBarAroundBlockedColumns(buffer, row, startCol, endCol, bar, blockedColumns) {
+  const pieces = splitAtMarkerColumns(splitAtBlockedColumns(startCol, endCol, blockedColumns), getMarkerColumns(buffer));
+  const widestPiece = pieces.reduce((widest, piece) =>
+    !widest || piece.endCol - piece.startCol > widest.endCol - widest.startCol ? piece : widest, null);
+
+  pieces.forEach(piece => {
+    const pieceBar = piece === widestPiece ? bar : Object.assign({}, bar, { text: "", linkUrl: null, note: null });
+    drawBarBlock(buffer, row, piece.startCol, piece.endCol, pieceBar);
+  });
+  for (let col = startCol; col <= endCol; col++) {
+    if (blockedColumns.has(col)) {
+      formatBufferRange(buffer, row, col, 1, 1, { background: blockedColumns.get(col) });
+    }
+  }
+}
+
+/**
+ * Labels each stretch of a person's time off "PTO" on one of their rows.
+ * The row must have been filled with fillEmptyChartRow(); bars drawn with drawBarAroundBlockedColumns() leave these cells open.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The row to label.
+ * @param {Map<number, string>} blockedColumns The person's blocked columns, see getBlockedColumns().
+ */
+function labelTimeOff(buffer, row, blockedColumns) {
+  const timeOffColumns = new Map();
+  blockedColumns.forEach((color, column) => {
+    if (color === PTO_COLOR) {
+      timeOffColumns.set(column, color);
+    }
+  });
+  if (timeOffColumns.size === 0) {
+    return;
+  }
+
+  const minCol = Math.min.apply(null, Array.from(timeOffColumns.keys()));
+  const maxCol = Math.max.apply(null, Array.from(timeOffColumns.keys()));
+  // Runs of time off are the gaps between the columns that are not time off
+  const notTimeOff = new Map();
+  for (let col = minCol; col <= maxCol; col++) {
+    if (!timeOffColumns.has(col)) {
+      notTimeOff.set(col, true);
+    }
+  }
+  splitAtBlockedColumns(minCol, maxCol, notTimeOff).forEach(run => {
+    const numCols = run.endCol - run.startCol + 1;
+    mergeBufferRange(buffer, row, run.startCol, 1, numCols);
+    setBufferValue(buffer, row, run.startCol, PTO_PROJECT_KEY);
+    formatBufferRange(buffer, row, run.startCol, 1, numCols, { fontSize: 7, horizontalAlignment: "center", verticalAlignment: "middle" });
+  });
+}
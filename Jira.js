@@ -0,0 +1,314 @@
+/**
+ * Sync of Summary, Start Date and End Date (and Status, if the sheet has that column) from JIRA into the source sheet.
+ * Every row whose Project is a JIRA key is refreshed from the issue (GET /rest/api/2/issue/{key}); cells whose value
+ * changed are highlighted and get a note with the previous value. Rows without a key (milestones, PTO, hand-made
+ * rows) and rows with the optional "Manual" column checked are left alone, as are fields that are empty in JIRA
+ * and cells holding a formula.
+ *
+ * Configuration lives in the script properties (Project Settings > Script properties):
+ *   JIRA_API_URL           Base URL of the JIRA instance, e.g. "https://example.atlassian.net". Defaults to JIRA_BASE_URL
+ *                          without "/browse/". Requests come from Google's servers, so a mock server must be reachable
+ *                          from the internet; localhost never is.
+ *   JIRA_EMAIL             With JIRA_API_TOKEN, sent as basic auth (JIRA Cloud).
+ *   JIRA_API_TOKEN         Sent as a bearer token when JIRA_EMAIL is not set (JIRA Server/Data Center personal access token).
+ *                          Without a token, requests are sent unauthenticated.
+ *   JIRA_START_DATE_FIELD  Field holding the start date. Defaults to "customfield_10015", JIRA Cloud's "Start date".
+ *   JIRA_END_DATE_FIELD    Field holding the end date. Defaults to "duedate".
+ *
+ * fetchJiraIssues() takes the function that sends the requests, so the parsing can be tested in Node against canned
+ * JIRA responses (see test/jira.test.js).
+ */
+
+// Script property keys for the JIRA settings
+const JIRA_PROPERTY_KEYS = {
+  apiUrl: "JIRA_API_URL",
+  email: "JIRA_EMAIL",
+  apiToken: "JIRA_API_TOKEN",
+  startDateField: "JIRA_START_DATE_FIELD",
+  endDateField: "JIRA_END_DATE_FIELD"
+};
+
+// Field mapping used when the script properties do not override it
+const DEFAULT_JIRA_START_DATE_FIELD = "customfield_10015";
+const DEFAULT_JIRA_END_DATE_FIELD = "duedate";
+
+// What a JIRA key in the Project column looks like, e.g. "ABC-123"
+const JIRA_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-\d+$/;
+
+// Number of issues requested in one UrlFetchApp.fetchAll() call
+const JIRA_FETCH_BATCH_SIZE = 50;
+
+// Fill for cells changed by the last sync
+const JIRA_SYNC_CHANGED_COLOR = "#FFF2CC"; // Light yellow
+
+/**
+ * Reads the JIRA settings from the script properties, filling in the defaults.
+ * @returns {{apiUrl: string, email: string, apiToken: string, startDateField: string, endDateField: string}} The settings.
+ */
+function getJiraSettings() {
+  const properties = PropertiesService.getScriptProperties();
+  const read = key => String(properties.getProperty(JIRA_PROPERTY_KEYS[key]) || "").trim();
+  return {
+    apiUrl: (read("apiUrl") || JIRA_BASE_URL.replace(/\/browse\/?$/, "")).replace(/\/+$/, ""),
+    email: read("email"),
+    apiToken: read("apiToken"),
+    startDateField: read("startDateField") || DEFAULT_JIRA_START_DATE_FIELD,
+    endDateField: read("endDateField") || DEFAULT_JIRA_END_DATE_FIELD
+  };
+}
+
+/**
+ * Builds the HTTP headers for JIRA requests from the settings.
+ * @param {Object} jiraSettings The settings returned by getJiraSettings().
+ * @returns {Object} The request headers.
+ */
+function getJiraRequestHeaders(jiraSettings) {
+  const headers = { Accept: "application/json" };
+  if (jiraSettings.email && jiraSettings.apiToken) {
+    headers.Authorization = "Basic " + Utilities.base64Encode(`${jiraSettings.email}:${jiraSettings.apiToken}`);
+  } else if (jiraSettings.apiToken) {
+    headers.Authorization = "Bearer " + jiraSettings.apiToken;
+  }
+  return headers;
+}
+
+/**
+ * Parses a JIRA date field ("2025-09-01" or a "2025-09-01T10:00:00.000+0000" timestamp) as a calendar day,
+ * matching how source sheet dates are normalized (see Dates.js).
+ * @param {*} value The field value.
+ * @returns {?Date} The date, or null if the field is empty or not a date.
+ */
+function parseJiraDate(value) {
+  const match = String(value || "").match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? parseSheetDate(match[0]) : null;
+}
+
+/**
+ * Fetches the summary, status and mapped date fields of the given issues.
+ * @param {Object} jiraSettings The settings returned by getJiraSettings().
+ * @param {Array<string>} keys The issue keys.
+ * @param {function(Array<Object>): Array<GoogleAppsScript.URL_Fetch.HTTPResponse>} [fetchAll] Sends a batch of
+ *     requests and returns their responses in order, like UrlFetchApp.fetchAll() (the default).
+ * @returns {{issues: Map<string, {summary: string, status: string, startDate: ?Date, endDate: ?Date}>, missingKeys: Array<string>, errors: Array<string>}}
+ *     The issues found by key, the keys JIRA does not know (or hides from these credentials) and any other failures.
+ */
+function fetchJiraIssues(jiraSettings, keys, fetchAll) {
+  const sendRequests = fetchAll || (requests => UrlFetchApp.fetchAll(requests));
+  const issues = new Map();
+  const missingKeys = [];
+  const errors = [];
+  const fields = ["summary", "status", jiraSettings.startDateField, jiraSettings.endDateField].join(",");
+  const headers = getJiraRequestHeaders(jiraSettings);
+
+  for (let i = 0; i < keys.length; i += JIRA_FETCH_BATCH_SIZE) {
+    const batchKeys = keys.slice(i, i + JIRA_FETCH_BATCH_SIZE);
+    const responses = sendRequests(batchKeys.map(key => ({
+      url: `${jiraSettings.apiUrl}/rest/api/2/issue/${encodeURIComponent(key)}?fields=${encodeURIComponent(fields)}`,
+      method: "get",
+      headers: headers,
+      muteHttpExceptions: true
+    })));
+
+    responses.forEach((response, index) => {
+      const key = batchKeys[index];
+      const status = response.getResponseCode();
+      if (status === 404) {
+        missingKeys.push(key);
+        return;
+      }
+      if (status === 401 || status === 403) {
+        errors.push(`${key}: JIRA rejected the credentials (HTTP ${status}).`);
+        return;
+      }
+      if (status !== 200) {
+        errors.push(`${key}: HTTP ${status} from JIRA.`);
+        return;
+      }
+
+      let issue;
+      try {
+        issue = JSON.parse(response.getContentText());
+      } catch (err) {
+        errors.push(`${key}: JIRA returned a response that is not JSON.`);
+        return;
+      }
+      const issueFields = issue.fields || {};
+      issues.set(key, {
+        summary: issueFields.summary ? String(issueFields.summary) : "",
+        status: issueFields.status && issueFields.status.name ? String(issueFields.status.name) : "",
+        startDate: parseJiraDate(issueFields[jiraSettings.startDateField]),
+        endDate: parseJiraDate(issueFields[jiraSettings.endDateField])
+      });
+    });
+  }
+
+  return { issues: issues, missingKeys: missingKeys, errors: errors };
+}
+
+/**
+ * Tells whether two source sheet cells hold the same value, comparing dates by day.
+ * @param {*} current The value in the sheet.
+ * @param {*} updated The value from JIRA.
+ * @returns {boolean} True if the values are the same.
+ */
+function isSameCellValue(current, updated) {
+  if (updated instanceof Date) {
+    const currentDate = parseSheetDate(current);
+    return currentDate !== null && currentDate.getTime() === updated.getTime();
+  }
+  return String(current).trim() === String(updated).trim();
+}
+
+/**
+ * Formats a cell value for the "previous value" note.
+ * @param {*} value The value.
+ * @returns {string} The value as text.
+ */
+function formatNoteValue(value) {
+  if (value === "" || value === null || value === undefined) {
+    return "(empty)";
+  }
+  return value instanceof Date ? toDateKey(parseSheetDate(value)) : String(value);
+}
+
+/**
+ * Updates Summary, Start Date, End Date and the optional Status column in the source sheet from JIRA.
+ * @param {string} sourceSheetName The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @returns {?{keys: number, changedCells: number, changedRows: number, missingKeys: Array<string>, errors: Array<string>}}
+ *     What the sync did, or null if the sheet could not be synced (the user has been told why).
+ */
+function syncSourceSheetFromJira(sourceSheetName) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sourceSheet = spreadsheet.getSheetByName(sourceSheetName);
+
+  if (!sourceSheet) {
+    Logger.log(`Error: Source sheet '${sourceSheetName}' not found.`);
+    showMessage("Error", `Source sheet '${sourceSheetName}' not found.`);
+    return null;
+  }
+
+  const dataRange = sourceSheet.getDataRange();
+  const allData = dataRange.getValues();
+  const headerRow = allData[0] || [];
+  const projectCol = headerRow.indexOf("Project");
+  const syncedCols = {
+    summary: headerRow.indexOf("Summary"),
+    startDate: headerRow.indexOf("Start Date"),
+    endDate: headerRow.indexOf("End Date")
+  };
+  const manualCol = headerRow.indexOf("Manual");
+
+  if (projectCol === -1 || syncedCols.summary === -1 || syncedCols.startDate === -1 || syncedCols.endDate === -1) {
+    Logger.log(`Error: Missing one or more required columns (Project, Summary, Start Date, End Date) in the '${sourceSheetName}' sheet.`);
+    showMessage("Error", `Missing one or more required columns (Project, Summary, Start Date, End Date) in the '${sourceSheetName}' sheet. Please check your column headers.`);
+    return null;
+  }
+  if (headerRow.indexOf(STATUS_HEADER) !== -1) {
+    syncedCols.status = headerRow.indexOf(STATUS_HEADER);
+  }
+
+  // Rows to sync, by sheet row number
+  const syncedRows = [];
+  for (let r = 1; r < allData.length; r++) {
+    const key = String(allData[r][projectCol]).trim();
+    const isManual = manualCol !== -1 && (allData[r][manualCol] === true || /^(true|yes|y|x)$/i.test(String(allData[r][manualCol]).trim()));
+    if (JIRA_KEY_PATTERN.test(key) && !isManual) {
+      syncedRows.push({ index: r, key: key });
+    }
+  }
+
+  const keys = Array.from(new Set(syncedRows.map(row => row.key)));
+  const result = { keys: keys.length, changedCells: 0, changedRows: 0, missingKeys: [], errors: [] };
+  if (keys.length === 0) {
+    return result;
+  }
+
+  const fetched = fetchJiraIssues(getJiraSettings(), keys);
+  result.missingKeys = fetched.missingKeys;
+  result.errors = fetched.errors;
+
+  // Values, fills and notes of the synced columns, updated in memory and written back in one call per column
+  const numRows = allData.length;
+  const columns = Object.keys(syncedCols).map(field => {
+    const range = sourceSheet.getRange(1, syncedCols[field] + 1, numRows, 1);
+    return {
+      field: field,
+      range: range,
+      values: range.getValues(),
+      formulas: range.getFormulas(),
+      backgrounds: range.getBackgrounds(),
+      notes: range.getNotes()
+    };
+  });
+  const syncDate = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd");
+
+  syncedRows.forEach(row => {
+    const issue = fetched.issues.get(row.key);
+    if (!issue) {
+      return;
+    }
+    let rowChanged = false;
+    columns.forEach(column => {
+      const r = row.index;
+      // Only the latest sync's changes stay highlighted
+      if (String(column.backgrounds[r][0]).toLowerCase() === JIRA_SYNC_CHANGED_COLOR.toLowerCase()) {
+        column.backgrounds[r][0] = null;
+        column.notes[r][0] = "";
+      }
+      const updated = issue[column.field];
+      if (updated === "" || updated === null || column.formulas[r][0] || isSameCellValue(column.values[r][0], updated)) {
+        return;
+      }
+      column.notes[r][0] = `Was: ${formatNoteValue(column.values[r][0])} (synced from JIRA on ${syncDate})`;
+      column.values[r][0] = updated instanceof Date ? toSheetDate(updated) : updated;
+      column.backgrounds[r][0] = JIRA_SYNC_CHANGED_COLOR;
+      result.changedCells++;
+      rowChanged = true;
+    });
+    if (rowChanged) {
+      result.changedRows++;
+    }
+  });
+
+  columns.forEach(column => {
+    // Writing the formulas back keeps them from being replaced by their current values
+    column.range.setValues(column.values.map((rowValues, r) => column.formulas[r][0] ? [column.formulas[r][0]] : rowValues));
+    column.range.setBackgrounds(column.backgrounds);
+    column.range.setNotes(column.notes);
+  });
+
+  result.missingKeys.forEach(key => Logger.log(`Warning: JIRA issue '${key}' was not found.`));
+  result.errors.forEach(error => Logger.log(`Error: ${error}`));
+  return result;
+}
+
+/**
+ * Menu handler that syncs the source sheet last saved in the sidebar settings from JIRA and reports the outcome.
+ */
+function syncFromJiraWithSavedSettings() {
+  const settings = getTimelineSettings();
+  if (readSourceList(SpreadsheetApp.getActiveSpreadsheet()).length > 0) {
+    // The changes would be overwritten when the source sheet is next merged
+    showMessage("JIRA sync", `'${settings.sourceSheetName}' is merged from the tabs listed in the '${SOURCES_SHEET_NAME}' sheet, so it cannot be synced from JIRA. Please update those tabs instead.`);
+    return;
+  }
+  const result = syncSourceSheetFromJira(settings.sourceSheetName);
+  if (!result) {
+    return;
+  }
+  if (result.changedCells > 0) {
+    recordSourceEdit(SpreadsheetApp.getActiveSpreadsheet(), settings); // Script edits do not fire onEdit()
+  }
+
+  let message = `Checked ${result.keys} JIRA issue(s): ${result.changedCells} cell(s) changed in ${result.changedRows} row(s).`;
+  if (result.missingKeys.length > 0) {
+    message += `\\n\\nNot found in JIRA: ${result.missingKeys.join(", ")}`;
+  }
+  if (result.errors.length > 0) {
+    message += `\\n\\nErrors:\\n${result.errors.slice(0, 10).join("\\n")}`;
+    if (result.errors.length > 10) {
+      message += `\\n...and ${result.errors.length - 10} more, see the execution log.`;
+    }
+  }
+  showMessage("JIRA sync", message);
+}
@@ -0,0 +1,566 @@
+/**
+ * Layout of the Gantt charts, kept apart from the spreadsheet.
+ * The timelines are laid out into a chart plan: a render buffer holding every cell value, link, note, format, merge and
+ * border (see Render.js), plus the rows to freeze, the column width, the row heights, the team row groups and the
+ * warnings found on the way. A chart spans the date window from the timeline options, or the dates it shows where the
+ * window is open; bars clipped by the window are marked as continuing past its edge. Laying out calls no Apps Script
+ * service (today is passed in rather than read), so the headers, the row packing and the bars run in Node on plain
+ * data, see test/ (npm test). writeChartPlan() is the only part that touches a sheet.
+ */
+
+// Month names for the column labels at "month" zoom
+const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Marks on bars that the date window clipped, see markContinuingBar()
+const CONTINUES_BEFORE_MARK = "◀";
+const CONTINUES_AFTER_MARK = "▶";
+
+/**
+ * Groups consecutive days into the date columns of a timeline at the given zoom level.
+ * At "week" zoom a column is a whole week (Monday to Sunday by default) labeled with its first day; at "month" zoom
+ * it is a calendar month labeled e.g. "Sep 2025". The first and last column may be partial if the range starts or ends
+ * mid-week or mid-month.
+ * @param {Array<string>} sortedDailyDateKeys Consecutive days as sorted YYYY-MM-DD keys, see getDailyDateKeys().
+ * @param {string} zoom The zoom level, one of TIMELINE_ZOOM_LEVELS.
+ * @param {{weekStartDay: number, weekendDays: Array<number>}} workWeek The work week, see normalizeWorkWeek().
+ * @returns {Array<{startIndex: number, endIndex: number, label: string}>} The columns, with the indexes of their first and last day in sortedDailyDateKeys.
+ */
+function getTimelineColumns(sortedDailyDateKeys, zoom, workWeek) {
+  const columns = [];
+  sortedDailyDateKeys.forEach((dateIso, index) => {
+    const date = fromDateKey(dateIso);
+    let groupKey = dateIso;
+    let label = String(date.getUTCDate());
+    if (zoom === "week") {
+      const weekStart = getStartOfWeek(date, workWeek);
+      groupKey = toDateKey(weekStart);
+      label = formatUTCMMDD(weekStart);
+    } else if (zoom === "month") {
+      groupKey = dateIso.slice(0, 7);
+      label = `${MONTH_LABELS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+    }
+
+    const lastColumn = columns[columns.length - 1];
+    if (lastColumn && lastColumn.groupKey === groupKey) {
+      lastColumn.endIndex = index;
+    } else {
+      columns.push({ groupKey: groupKey, startIndex: index, endIndex: index, label: label });
+    }
+  });
+  return columns;
+}
+
+/**
+ * Generates the common header rows (terms and dates) for the Gantt charts.
+ * At "day" zoom there is one column per day with the work weeks merged and the weekend days greyed out; at "week" and
+ * "month" zoom there is one column per week or calendar month, labeled with its first day or its month.
+ * The header rows are drawn into a new render buffer (see Render.js) that the caller adds its rows to.
+ * @param {Date} minOverallDate The earliest date across all relevant projects.
+ * @param {Date} maxOverallDate The latest date across all relevant projects.
+ * @param {number} firstFixedColumnIndex The column index of the first data-carrying column (e.g., 1 for 'Person' or 'Project' column).
+ * @param {Array<Object>} [terms] The terms to show in row 1, as returned by getTimelineTerms(). Defaults to TERMS_DATA.
+ * @param {Map<string, string>} [holidays] The holidays to mark in row 2, as returned by readHolidays(). The holiday name becomes the cell's note;
+ *     at "day" zoom the holiday is also shaded.
+ * @param {string} [zoom="day"] The column granularity, one of TIMELINE_ZOOM_LEVELS.
+ * @param {{weekStartDay: number, weekendDays: Array<number>}} [workWeek=DEFAULT_WORK_WEEK] The work week, see normalizeWorkWeek().
+ * @param {Date} today Today, at UTC midnight (see getToday()), for the today marker.
+ * @returns {{dailyDateToSheetColMap: Map<string, number>, columnDateRanges: Map<number, {firstDateIso: string, lastDateIso: string}>, totalDataColumns: number, totalHeaderColumns: number, columnWidth: number, buffer: Object}}
+ *     The column each day falls in, the first and last day of each date column, total columns, the width for the date columns
+ *     and the render buffer holding the header rows.
+ */
+function layoutTimelineHeaders(minOverallDate, maxOverallDate, firstFixedColumnIndex, terms, holidays, zoom, workWeek, today) {
+  const termsData = terms || TERMS_DATA;
+  const holidayNames = holidays || new Map();
+  const zoomLevel = TIMELINE_ZOOM_LEVELS[zoom] ? zoom : "day";
+  const week = workWeek || DEFAULT_WORK_WEEK;
+
+  const sortedDailyDateKeys = getDailyDateKeys(minOverallDate, maxOverallDate);
+  const timelineColumns = getTimelineColumns(sortedDailyDateKeys, zoomLevel, week);
+
+  const dailyDateToSheetColMap = new Map(); // Maps YYYY-MM-DD to its sheet column index
+  const columnDateRanges = new Map(); // Maps each date column to its first and last day
+  timelineColumns.forEach((column, index) => {
+    const sheetCol = firstFixedColumnIndex + 1 + index; // Date columns start after the fixed column
+    column.sheetCol = sheetCol;
+    for (let d = column.startIndex; d <= column.endIndex; d++) {
+      dailyDateToSheetColMap.set(sortedDailyDateKeys[d], sheetCol);
+    }
+    columnDateRanges.set(sheetCol, { firstDateIso: sortedDailyDateKeys[column.startIndex], lastDateIso: sortedDailyDateKeys[column.endIndex] });
+  });
+
+  const totalDataColumns = timelineColumns.length; // Number of actual date columns
+  const totalHeaderColumns = firstFixedColumnIndex + totalDataColumns; // Total columns in the header rows (including fixed)
+
+  // Helper function to determine which term a given date falls into
+  function getTermForDate(date) {
+    return findTermForDate(date, termsData);
+  }
+
+  // Populate Term Header Data (Row 1). A column belongs to the term of its first day.
+  const termMergeRanges = [];
+
+  let lastTermKey = null;
+  let currentTermMergeStartCol = -1;
+  let currentTermColor = null;
+
+  // Process the columns in order to identify term boundaries
+  for (let i = 0; i < timelineColumns.length; i++) {
+    const termForColumn = getTermForDate(fromDateKey(sortedDailyDateKeys[timelineColumns[i].startIndex]));
+    const currentTermKey = termForColumn ? `${termForColumn.name}` : null;
+    const currentTermActualColor = termForColumn ? termForColumn.color : null;
+    const currentColIndex = timelineColumns[i].sheetCol;
+
+    if (currentTermKey !== lastTermKey) {
+      if (lastTermKey !== null && currentTermMergeStartCol !== -1) {
+        // Finalize the previous term's merge range
+        termMergeRanges.push({
+          startCol: currentTermMergeStartCol,
+          endCol: currentColIndex - 1,
+          text: lastTermKey,
+          color: currentTermColor
+        });
+      }
+      // Start new merge range
+      currentTermMergeStartCol = currentColIndex;
+      lastTermKey = currentTermKey;
+      currentTermColor = currentTermActualColor;
+    }
+  }
+  // Push the very last term merge range
+  if (lastTermKey !== null && currentTermMergeStartCol !== -1) {
+    termMergeRanges.push({
+      startCol: currentTermMergeStartCol,
+      endCol: totalHeaderColumns,
+      text: lastTermKey,
+      color: currentTermColor
+    });
+  }
+
+  // Draw the header rows into a render buffer; the caller draws the chart rows below them and flushes it
+  const buffer = createRenderBuffer(totalHeaderColumns);
+  ensureBufferRows(buffer, 2);
+
+  if (zoomLevel === "day") {
+    // Apply weekly header merges, values and backgrounds to row 2
+    getWorkWeeks(sortedDailyDateKeys, week).forEach(workWeekRun => {
+      const startCol = dailyDateToSheetColMap.get(sortedDailyDateKeys[workWeekRun.startIndex]);
+      const endCol = dailyDateToSheetColMap.get(sortedDailyDateKeys[workWeekRun.endIndex]);
+
+      // Holidays split the week; the week label goes on the widest stretch of working days
+      const holidayColumns = new Map();
+      for (let d = workWeekRun.startIndex; d <= workWeekRun.endIndex; d++) {
+        if (holidayNames.has(sortedDailyDateKeys[d])) {
+          holidayColumns.set(dailyDateToSheetColMap.get(sortedDailyDateKeys[d]), holidayNames.get(sortedDailyDateKeys[d]));
+        }
+      }
+      const workingRuns = splitAtBlockedColumns(startCol, endCol, holidayColumns);
+      const labelRun = workingRuns.reduce((widest, run) =>
+        !widest || run.endCol - run.startCol > widest.endCol - widest.startCol ? run : widest, null);
+
+      // Set background color for the date row (Row 2) dynamically based on term color
+      const termForWeek = getTermForDate(workWeekRun.startDate);
+      const hasTermColor = termForWeek && termForWeek.color;
+      workingRuns.forEach(run => {
+        const numColsToMerge = run.endCol - run.startCol + 1;
+        mergeBufferRange(buffer, 2, run.startCol, 1, numColsToMerge);
+        if (run === labelRun) {
+          // Label with week range
+          setBufferValue(buffer, 2, run.startCol, workWeekRun.label);
+        }
+        formatBufferRange(buffer, 2, run.startCol, 1, numColsToMerge, {
+          horizontalAlignment: "center",
+          verticalAlignment: "middle",
+          background: hasTermColor ? termForWeek.color : "#D3D3D3", // Light grey fallback
+          fontColor: hasTermColor ? "#FFFFFF" : "#000000", // White text for contrast
+          fontWeight: hasTermColor ? "bold" : "normal",
+          fontSize: 10 // Set font size for weekly header
+        });
+      });
+
+      holidayColumns.forEach((name, column) => {
+        setBufferNote(buffer, 2, column, name);
+        formatBufferRange(buffer, 2, column, 1, 1, { background: HOLIDAY_COLOR });
+      });
+    });
+
+    // Merge and grey out weekends in row 2
+    let i = 0;
+    while (i < sortedDailyDateKeys.length) {
+      if (isWeekendDay(sortedDailyDateKeys[i], week)) { // Weekend block
+        // Merge consecutive weekend days, e.g. Sat+Sun
+        const startCol = dailyDateToSheetColMap.get(sortedDailyDateKeys[i]);
+        let endIdx = i;
+        while (endIdx + 1 < sortedDailyDateKeys.length && isWeekendDay(sortedDailyDateKeys[endIdx + 1], week)) {
+          endIdx++;
+        }
+        const endCol = dailyDateToSheetColMap.get(sortedDailyDateKeys[endIdx]);
+        const numColsToMerge = endCol - startCol + 1;
+        mergeBufferRange(buffer, 2, startCol, 1, numColsToMerge); // No text
+        formatBufferRange(buffer, 2, startCol, 1, numColsToMerge, {
+          horizontalAlignment: "center",
+          verticalAlignment: "middle",
+          background: "#D3D3D3", // Gray fill for weekends
+          fontColor: "#000000",
+          fontWeight: "normal",
+          fontSize: 10
+        });
+        i = endIdx + 1;
+      } else {
+        i++;
+      }
+    }
+  } else {
+    // One labeled cell per week or month in row 2, colored by its term, with the holidays it contains as a note
+    timelineColumns.forEach(column => {
+      const termForColumn = getTermForDate(fromDateKey(sortedDailyDateKeys[column.startIndex]));
+      const hasTermColor = termForColumn && termForColumn.color;
+      setBufferValue(buffer, 2, column.sheetCol, column.label);
+      formatBufferRange(buffer, 2, column.sheetCol, 1, 1, {
+        horizontalAlignment: "center",
+        verticalAlignment: "middle",
+        background: hasTermColor ? termForColumn.color : "#D3D3D3", // Light grey fallback
+        fontColor: hasTermColor ? "#FFFFFF" : "#000000", // White text for contrast
+        fontWeight: hasTermColor ? "bold" : "normal",
+        fontSize: 10
+      });
+
+      const columnHolidays = sortedDailyDateKeys.slice(column.startIndex, column.endIndex + 1)
+        .filter(dateIso => holidayNames.has(dateIso))
+        .map(dateIso => `${formatUTCMMDD(fromDateKey(dateIso))} ${holidayNames.get(dateIso)}`);
+      if (columnHolidays.length > 0) {
+        setBufferNote(buffer, 2, column.sheetCol, columnHolidays.join("\n"));
+      }
+    });
+  }
+
+  // Apply term merges and formatting to row 1
+  termMergeRanges.forEach(range => {
+    const numColsToMerge = range.endCol - range.startCol + 1;
+    mergeBufferRange(buffer, 1, range.startCol, 1, numColsToMerge);
+    setBufferValue(buffer, 1, range.startCol, range.text);
+    formatBufferRange(buffer, 1, range.startCol, 1, numColsToMerge, {
+      horizontalAlignment: "center",
+      verticalAlignment: "middle",
+      background: range.color,
+      fontColor: "#FFFFFF",
+      fontSize: 10 // Set font size for term header
+    });
+  });
+
+  // Center the fixed column headers
+  formatBufferRange(buffer, 1, 1, 2, firstFixedColumnIndex, { horizontalAlignment: "center" });
+
+  // Determine current day's column, if the chart covers today
+  buffer.todayColumn = dailyDateToSheetColMap.get(toDateKey(today)); // Bars are split here and drawTodayMarker() draws the marker
+
+  return {
+    dailyDateToSheetColMap: dailyDateToSheetColMap,
+    columnDateRanges: columnDateRanges,
+    totalDataColumns: totalDataColumns,
+    totalHeaderColumns: totalHeaderColumns,
+    columnWidth: TIMELINE_ZOOM_LEVELS[zoomLevel].columnWidth,
+    buffer: buffer
+  };
+}
+
+/**
+ * Draws the milestone rows into the render buffer, packing non-overlapping milestones onto the same row (see packNonOverlapping()).
+ * @param {Object} buffer The render buffer returned by layoutTimelineHeaders().
+ * @param {Array<Object>} customerData The milestones, as returned by getMilestoneData().
+ * @param {Map<string, number>} dailyDateToSheetColMap Maps YYYY-MM-DD to its sheet column index.
+ * @param {number} totalHeaderColumns The total number of columns in the chart.
+ * @param {number} startRow The first row to draw in.
+ * @param {Map<number, string>} [blockedColumns] The holiday columns to shade, see getBlockedColumns().
+ * @returns {number} The row after the last milestone row.
+ */
+function populateCustomerRows(buffer, customerData, dailyDateToSheetColMap, totalHeaderColumns, startRow, blockedColumns) {
+  let currentRow = startRow;
+  if (customerData.length === 0) {
+    return currentRow;
+  }
+
+  packNonOverlapping(customerData).forEach(rowCustomers => {
+    fillEmptyChartRow(buffer, currentRow, totalHeaderColumns, blockedColumns || new Map());
+
+    rowCustomers.forEach(customer => {
+      const projectStartDate = customer.startDate;
+      const projectEndDate = customer.endDate;
+
+      let startSheetCol = dailyDateToSheetColMap.get(toDateKey(projectStartDate));
+      let endSheetCol = dailyDateToSheetColMap.get(toDateKey(projectEndDate));
+
+      // The chart's date range covers every milestone, so this only happens if the data changed underneath us
+      if (startSheetCol === undefined || endSheetCol === undefined) {
+        buffer.warnings.push(`Milestone '${customer.name}' (${toDateKey(projectStartDate)} to ${toDateKey(projectEndDate)}) is outside the chart. Skipping.`);
+        return;
+      }
+
+      if (startSheetCol > endSheetCol) {
+        endSheetCol = startSheetCol;
+      }
+
+      const numColsToColor = endSheetCol - startSheetCol + 1;
+
+      if (numColsToColor > 0) {
+        const bar = markContinuingBar({ text: customer.name }, customer);
+        mergeBufferRange(buffer, currentRow, startSheetCol, 1, numColsToColor);
+        borderBufferRange(buffer, currentRow, startSheetCol, 1, numColsToColor);
+        setBufferValue(buffer, currentRow, startSheetCol, bar.text);
+        if (bar.note) {
+          setBufferNote(buffer, currentRow, startSheetCol, bar.note);
+        }
+        formatBufferRange(buffer, currentRow, startSheetCol, 1, numColsToColor, {
+          background: CUSTOMER_ROW_COLOR,
+          horizontalAlignment: "center",
+          verticalAlignment: "middle",
+          wrap: true, // Wrap text in merged cells
+          fontSize: 7 // Set font size to 7 for milestones
+        });
+      }
+    });
+    currentRow++;
+  });
+  return currentRow;
+}
+
+/**
+ * Draws the rows shared by the top of every timeline: the ranged milestones as packed bars, then the Deadlines row.
+ * @param {Object} headerInfo The headers returned by layoutTimelineHeaders().
+ * @param {Array<Object>} milestoneData The milestones, as returned by getMilestoneData().
+ * @param {Map<number, string>} holidayColumns The holiday columns to shade, see getBlockedColumns().
+ * @returns {number} The row after the milestone rows; the rows above it are frozen.
+ */
+function layoutMilestoneRows(headerInfo, milestoneData, holidayColumns) {
+  const buffer = headerInfo.buffer;
+  const dailyDateToSheetColMap = headerInfo.dailyDateToSheetColMap;
+  const totalHeaderColumns = headerInfo.totalHeaderColumns;
+
+  let currentRow = 3; // Start populating from the third row (after 2 header rows)
+  currentRow = populateCustomerRows(buffer, milestoneData.filter(milestone => !isDeadlineMilestone(milestone))
+    .map(milestone => snapToTimelineColumns(milestone, headerInfo)), dailyDateToSheetColMap, totalHeaderColumns, currentRow, holidayColumns);
+  return drawDeadlineRow(buffer, milestoneData.filter(isDeadlineMilestone), dailyDateToSheetColMap, totalHeaderColumns, currentRow, holidayColumns);
+}
+
+/**
+ * Finds the chart's date range: the date window where it is set, else the earliest start date or latest end date
+ * across projects and milestones.
+ * @param {Array<{startDate: Date, endDate: Date}>} items The items to cover, already clipped to the window.
+ * @param {{windowStart: ?Date, windowEnd: ?Date}} [dateWindow] The window from the timeline options.
+ * @returns {{minDate: Date, maxDate: Date}} The overall date range.
+ */
+function getTimelineDateRange(items, dateWindow) {
+  let minDate = new Date(8640000000000000);
+  let maxDate = new Date(-8640000000000000);
+  items.forEach(item => {
+    if (item.startDate < minDate) minDate = item.startDate;
+    if (item.endDate > maxDate) maxDate = item.endDate;
+  });
+  return {
+    minDate: (dateWindow && dateWindow.windowStart) || minDate,
+    maxDate: (dateWindow && dateWindow.windowEnd) || maxDate
+  };
+}
+
+/**
+ * Marks a bar whose item the date window clipped (see clipToDateWindow()), so it reads as continuing past the chart.
+ * @param {{text: string, note: (string|undefined)}} bar The bar, as passed to drawBarBlock().
+ * @param {{originalStartDate: (Date|undefined), originalEndDate: (Date|undefined)}} item The bar's project or milestone.
+ * @returns {{text: string, note: (string|undefined)}} The bar, marked if needed.
+ */
+function markContinuingBar(bar, item) {
+  if (!item.originalStartDate && !item.originalEndDate) {
+    return bar;
+  }
+
+  const noteLines = bar.note ? [bar.note] : [];
+  if (item.originalStartDate) {
+    noteLines.push(`Starts ${toDateKey(item.originalStartDate)}, before the chart.`);
+  }
+  if (item.originalEndDate) {
+    noteLines.push(`Ends ${toDateKey(item.originalEndDate)}, after the chart.`);
+  }
+
+  return Object.assign({}, bar, {
+    text: `${item.originalStartDate ? CONTINUES_BEFORE_MARK + " " : ""}${bar.text}${item.originalEndDate ? " " + CONTINUES_AFTER_MARK : ""}`,
+    note: noteLines.join("\n")
+  });
+}
+
+/**
+ * Packs items into as few rows as possible, placing each item (in start date order) on the first row it fits.
+ * Shared by the milestone, project and person rows, which differ only in what fits.
+ * @param {Array<{startDate: Date, endDate: Date}>} items The items to pack. Sorted in place by start date.
+ * @param {function(Array<Object>, Object): boolean} fitsInRow Tells whether an item can join the items already in a row.
+ * @returns {Array<Array<Object>>} The rows, each a list of items.
+ */
+function packRows(items, fitsInRow) {
+  items.sort((a, b) => a.startDate.getTime() - b.startDate.getTime());
+
+  const packedRows = [];
+
+  items.forEach(item => {
+    const row = packedRows.find(rowItems => fitsInRow(rowItems, item));
+    if (row) {
+      row.push(item);
+    } else {
+      packedRows.push([item]);
+    }
+  });
+
+  return packedRows;
+}
+
+/**
+ * Packs items into as few rows as possible so that items on the same row do not overlap, see packRows().
+ * @param {Array<{startDate: Date, endDate: Date}>} items The items to pack. Sorted in place by start date.
+ * @returns {Array<Array<Object>>} The rows, each a list of items.
+ */
+function packNonOverlapping(items) {
+  return packRows(items, (rowItems, item) => rowItems.every(existingItem =>
+    item.startDate > existingItem.endDate || item.endDate < existingItem.startDate));
+}
+
+/**
+ * Finds the columns a bar spans on the chart.
+ * Dates outside the chart are clamped to its first and last date columns.
+ * @param {{startDate: Date, endDate: Date}} item The item the bar represents.
+ * @param {Map<string, number>} dailyDateToSheetColMap Maps YYYY-MM-DD to its sheet column index.
+ * @param {number} totalHeaderColumns The total number of columns in the chart.
+ * @returns {{startCol: number, endCol: number}} The first and last column of the bar.
+ */
+function getBarColumns(item, dailyDateToSheetColMap, totalHeaderColumns) {
+  let startSheetCol = dailyDateToSheetColMap.get(toDateKey(item.startDate));
+  let endSheetCol = dailyDateToSheetColMap.get(toDateKey(item.endDate));
+
+  // Ensure startSheetCol and endSheetCol are valid numbers and within bounds
+  if (typeof startSheetCol !== 'number' || startSheetCol < 2) { // Minimum 2 for the first date column (after the fixed column)
+    startSheetCol = 2;
+  }
+  if (typeof endSheetCol !== 'number' || endSheetCol < 2) {
+    endSheetCol = totalHeaderColumns;
+  }
+  if (startSheetCol > endSheetCol) {
+    endSheetCol = startSheetCol;
+  }
+
+  return { startCol: startSheetCol, endCol: endSheetCol };
+}
+
+/**
+ * Widens an item's dates to the whole columns it touches, so at "week" and "month" zoom a bar covering part of a week
+ * or month fills that column and items are packed by the columns they occupy. At "day" zoom the dates are unchanged.
+ * @param {{startDate: Date, endDate: Date}} item The project or milestone.
+ * @param {Object} headerInfo The column maps returned by layoutTimelineHeaders().
+ * @returns {Object} A copy of the item with its dates moved to column boundaries, or the item itself if it is outside the chart.
+ */
+function snapToTimelineColumns(item, headerInfo) {
+  const startRange = headerInfo.columnDateRanges.get(headerInfo.dailyDateToSheetColMap.get(toDateKey(item.startDate)));
+  const endRange = headerInfo.columnDateRanges.get(headerInfo.dailyDateToSheetColMap.get(toDateKey(item.endDate)));
+  if (!startRange || !endRange) {
+    return item;
+  }
+  return Object.assign({}, item, {
+    startDate: fromDateKey(startRange.firstDateIso),
+    endDate: fromDateKey(endRange.lastDateIso)
+  });
+}
+
+/**
+ * Draws one bar on a chart row: a merged, bordered, colored block spanning the item's dates.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The row to draw on.
+ * @param {{startDate: Date, endDate: Date}} item The item the bar represents.
+ * @param {Map<string, number>} dailyDateToSheetColMap Maps YYYY-MM-DD to its sheet column index.
+ * @param {number} totalHeaderColumns The total number of columns in the chart.
+ * @param {{text: string, linkUrl: ?string, color: string}} bar The label, optional link and background color.
+ * @param {Map<number, string>} [blockedColumns] Holiday and time-off columns the bar leaves open, see getBlockedColumns().
+ */
+function drawAssignmentBar(buffer, row, item, dailyDateToSheetColMap, totalHeaderColumns, bar, blockedColumns) {
+  const columns = getBarColumns(item, dailyDateToSheetColMap, totalHeaderColumns);
+  drawBarAroundBlockedColumns(buffer, row, columns.startCol, columns.endCol, bar, blockedColumns || new Map());
+}
+
+/**
+ * Draws a merged, bordered, colored block between two columns of a chart row.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The row to draw on.
+ * @param {number} startCol The first column of the block.
+ * @param {number} endCol The last column of the block.
+ * @param {{text: string, linkUrl: (?string|Array<Object>), color: string, note: (string|undefined), format: (Object|undefined), border: (Object|undefined)}} bar
+ *     The label, optional link(s), background color, optional cell note, and optional extra cell format and border style
+ *     (see setBufferValue(), formatBufferRange() and borderBufferRange()).
+ */
+function drawBarBlock(buffer, row, startCol, endCol, bar) {
+  const numColsToColor = endCol - startCol + 1;
+
+  if (numColsToColor > 0) {
+    mergeBufferRange(buffer, row, startCol, 1, numColsToColor);
+    borderBufferRange(buffer, row, startCol, 1, numColsToColor, bar.border); // Apply border to filled cells
+
+    // Set the display name, linked when there is a URL
+    setBufferValue(buffer, row, startCol, bar.text, bar.linkUrl);
+    if (bar.note) {
+      setBufferNote(buffer, row, startCol, bar.note);
+    }
+
+    formatBufferRange(buffer, row, startCol, 1, numColsToColor, Object.assign({
+      background: bar.color,
+      fontColor: getContrastTextColor(bar.color),
+      wrap: true, // Wrap text in merged cells
+      horizontalAlignment: "left",
+      verticalAlignment: "middle"
+    }, bar.format));
+  }
+}
+
+/**
+ * Draws the deadline and today markers and wraps a drawn chart up as the plan written by writeChartPlan().
+ * @param {Object} headerInfo The headers returned by layoutTimelineHeaders(), with the chart rows drawn into its buffer.
+ * @param {number} frozenRows The number of rows to freeze: the headers and the milestone rows.
+ * @param {number} nextRow The row after the last chart row.
+ * @param {Array<{headerRow: number, firstRow: number, lastRow: number}>} [rowGroups] The team sections to make collapsible, see groupTeamRows().
+ * @returns {{buffer: Object, frozenRows: number, columnWidth: number, rowHeights: Array<{row: number, numRows: number, height: number}>, rowGroups: Array<Object>, warnings: Array<string>}}
+ *     The chart plan.
+ */
+function finishChartLayout(headerInfo, frozenRows, nextRow, rowGroups) {
+  const buffer = headerInfo.buffer;
+  drawMilestoneMarkers(buffer);
+  drawTodayMarker(buffer); // After the deadline markers, so it wins on a shared column
+
+  const rowHeights = [{ row: 1, numRows: 2, height: 25 }, { row: 3, numRows: nextRow - 1, height: 50 }];
+  if (buffer.deadlineRow !== undefined) {
+    rowHeights.push({ row: buffer.deadlineRow, numRows: 1, height: 25 }); // Only holds the deadline names
+  }
+
+  return {
+    buffer: buffer,
+    frozenRows: frozenRows,
+    columnWidth: headerInfo.columnWidth,
+    rowHeights: rowHeights,
+    rowGroups: rowGroups || [],
+    warnings: buffer.warnings
+  };
+}
+
+/**
+ * Writes a chart plan to a sheet cleared with prepareGanttSheet() and logs its warnings.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The chart sheet.
+ * @param {Object} plan The plan returned by finishChartLayout().
+ */
+function writeChartPlan(sheet, plan) {
+  const buffer = plan.buffer;
+  sheet.setFrozenRows(plan.frozenRows);
+  flushRenderBuffer(sheet, buffer);
+
+  // Set column widths of all other columns except the first one
+  sheet.setColumnWidths(2, buffer.numColumns - 1, plan.columnWidth);
+  sheet.setFrozenColumns(1);
+  sheet.autoResizeColumn(1);
+
+  if (sheet.getMaxRows() > 0) {
+    plan.rowHeights.forEach(rows => sheet.setRowHeights(rows.row, rows.numRows, rows.height));
+  }
+  groupTeamRows(sheet, plan.rowGroups);
+
+  plan.warnings.forEach(warning => Logger.log(`Warning: ${warning}`));
+}
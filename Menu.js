@@ -0,0 +1,340 @@
+/**
+ * "Team Planning" menu and options sidebar for running the timeline without the script editor.
+ * The last settings used are remembered per document in the document properties.
+ */
+
+// Document property key holding the last sidebar settings as JSON
+const TIMELINE_SETTINGS_PROPERTY = "timelineSettings";
+
+// Settings used the first time the sidebar is opened in a document
+const DEFAULT_TIMELINE_SETTINGS = {
+  sourceSheetName: "Combined",
+  generatePeopleView: true,
+  destinationSheetName: "People Timeline",
+  generateProjectView: false,
+  projectDestinationSheetName: "Project Timeline",
+  generateCapacityReport: false,
+  capacityDestinationSheetName: "Capacity",
+  windowMode: "weeks", // Dates shown: "weeks" around today, one "term", explicit "dates" or "all"
+  weeksBefore: 1, // "weeks" mode: whole weeks shown before the current one, blank for no lower bound
+  weeksAfter: "", // "weeks" mode: whole weeks shown after the current one, blank for no upper bound
+  windowTerm: "", // "term" mode: the term's name, as in the terms sheet
+  windowStart: "", // "dates" mode: YYYY-MM-DD, blank for no lower bound
+  windowEnd: "", // "dates" mode: YYYY-MM-DD, blank for no upper bound
+  includeMilestones: true,
+  includePeople: true,
+  people: "", // Comma-separated names, blank for everyone
+  termSource: "sheet", // "sheet" to read the terms sheet, "builtin" to always use TERMS_DATA
+  termsSheetName: "", // Blank for TERMS_SHEET_NAME (not referenced here since Terms.js may load after this file)
+  zoom: "day", // One column per "day", "week" or "month"
+  weekStartDay: 1, // Day weeks start on, 0 (Sunday) to 6 (Saturday); Monday as in DEFAULT_WORK_WEEK
+  weekendDays: [6, 0], // Days off, 0 (Sunday) to 6 (Saturday); Saturday and Sunday as in DEFAULT_WORK_WEEK
+  teamTabs: false, // Also draw each team into its own "<people timeline> - <team>" tab
+  schedule: "off", // "off", "daily" or "weekly" (Mondays) automatic regeneration, see Triggers.js
+  scheduleHour: 6, // Hour of the day (0-23, script time zone) the scheduled regeneration runs
+  exportTermsToCalendar: false // Whether the calendar export adds the terms as background events
+};
+
+/**
+ * Adds the "Team Planning" menu when the spreadsheet is opened.
+ * @param {GoogleAppsScript.Events.SheetsOnOpen} e The open event.
+ */
+function onOpen(e) {
+  SpreadsheetApp.getUi()
+    .createMenu("Team Planning")
+    .addItem("Generate timelines...", "showTimelineSidebar")
+    .addItem("Regenerate with last settings", "regenerateTimelineWithSavedSettings")
+    .addSeparator()
+    .addItem("Generate capacity report", "generateCapacityReportWithSavedSettings")
+    .addItem("Generate term summary", "generateTermSummaryWithSavedSettings")
+    .addSeparator()
+    .addItem("Sync from JIRA", "syncFromJiraWithSavedSettings")
+    .addItem("Compare plan snapshots...", "compareSnapshotsFromPrompt")
+    .addItem("Schedule from estimates", "scheduleFromEstimatesWithSavedSettings")
+    .addSeparator()
+    .addItem("Export calendars (.ics)", "exportCalendarsWithSavedSettings")
+    .addToUi();
+}
+
+/**
+ * Opens the timeline options sidebar.
+ */
+function showTimelineSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile("Sidebar").setTitle("Team Planning");
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Returns the saved settings for this document, filled in with defaults for anything not saved yet.
+ * @returns {Object} The timeline settings, see DEFAULT_TIMELINE_SETTINGS.
+ */
+function getTimelineSettings() {
+  const saved = PropertiesService.getDocumentProperties().getProperty(TIMELINE_SETTINGS_PROPERTY);
+  let settings = {};
+  if (saved) {
+    try {
+      settings = JSON.parse(saved);
+    } catch (err) {
+      Logger.log(`Warning: Ignoring unreadable saved timeline settings: ${err}`);
+    }
+  }
+  // Settings saved before the window modes only had the dates
+  if (settings.windowMode === undefined && (settings.windowStart || settings.windowEnd)) {
+    settings.windowMode = "dates";
+  }
+  return Object.assign({}, DEFAULT_TIMELINE_SETTINGS, settings);
+}
+
+/**
+ * Saves the settings for this document.
+ * @param {Object} settings The timeline settings, see DEFAULT_TIMELINE_SETTINGS.
+ */
+function saveTimelineSettings(settings) {
+  PropertiesService.getDocumentProperties().setProperty(TIMELINE_SETTINGS_PROPERTY, JSON.stringify(settings));
+}
+
+/**
+ * Called by the sidebar on load.
+ * @returns {{sheetNames: Array<string>, settings: Object}} The sheets in the spreadsheet and the saved settings.
+ */
+function getTimelineSidebarState() {
+  const sheetNames = SpreadsheetApp.getActiveSpreadsheet().getSheets().map(sheet => sheet.getName());
+  return { sheetNames: sheetNames, settings: getTimelineSettings() };
+}
+
+/**
+ * Parses a YYYY-MM-DD settings value as a calendar day, matching how source sheet dates are normalized (see Dates.js).
+ * @param {string} value The date string from the sidebar.
+ * @param {string} label The field name used in the error message.
+ * @returns {?Date} The date, or null if the value is blank.
+ */
+function parseSettingsDate(value, label) {
+  if (!value) {
+    return null;
+  }
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? parseSheetDate(String(value)) : null;
+  if (!date) {
+    throw new Error(`${label} '${value}' is not a date in YYYY-MM-DD format.`);
+  }
+  return date;
+}
+
+/**
+ * Parses a number of weeks from the settings.
+ * @param {(number|string)} value The number of weeks from the sidebar.
+ * @param {string} label The field name used in the error message.
+ * @returns {?number} The number of weeks, or null if the value is blank.
+ */
+function parseSettingsWeeks(value, label) {
+  if (value === "" || value === null || value === undefined) {
+    return null;
+  }
+  const weeks = Number(value);
+  if (!Number.isInteger(weeks) || weeks < 0) {
+    throw new Error(`${label} '${value}' is not a whole number of weeks.`);
+  }
+  return weeks;
+}
+
+/**
+ * Works out the date window from the settings' window mode. A term window is resolved once the terms are read, see
+ * resolveTermWindow() in Code.js.
+ * @param {Object} settings The timeline settings, see DEFAULT_TIMELINE_SETTINGS.
+ * @param {{weekStartDay: number, weekendDays: Array<number>}} workWeek The work week the "weeks" mode counts in.
+ * @returns {{windowStart: ?Date, windowEnd: ?Date, windowTerm: ?string}} The window's first and last days, or its term.
+ */
+function buildDateWindow(settings, workWeek) {
+  if (settings.windowMode === "all") {
+    return { windowStart: null, windowEnd: null, windowTerm: null };
+  }
+
+  if (settings.windowMode === "term") {
+    const windowTerm = String(settings.windowTerm || "").trim();
+    if (!windowTerm) {
+      throw new Error("Enter the term to show.");
+    }
+    return { windowStart: null, windowEnd: null, windowTerm: windowTerm };
+  }
+
+  if (settings.windowMode === "dates") {
+    const windowStart = parseSettingsDate(settings.windowStart, "Window start");
+    const windowEnd = parseSettingsDate(settings.windowEnd, "Window end");
+    if (windowStart && windowEnd && windowEnd < windowStart) {
+      throw new Error("Window end is before window start.");
+    }
+    return { windowStart: windowStart, windowEnd: windowEnd, windowTerm: null };
+  }
+
+  // Whole weeks around the current one
+  const weeksBefore = parseSettingsWeeks(settings.weeksBefore, "Weeks before");
+  const weeksAfter = parseSettingsWeeks(settings.weeksAfter, "Weeks after");
+  const thisWeekStart = getStartOfWeek(getToday(), workWeek);
+  return {
+    windowStart: weeksBefore === null ? null : addDays(thisWeekStart, -7 * weeksBefore),
+    windowEnd: weeksAfter === null ? null : addDays(thisWeekStart, 7 * (weeksAfter + 1) - 1),
+    windowTerm: null
+  };
+}
+
+/**
+ * Converts sidebar settings into the options object accepted by updatePeopleTimeline().
+ * @param {Object} settings The timeline settings, see DEFAULT_TIMELINE_SETTINGS.
+ * @returns {Object} The timeline options.
+ */
+function buildTimelineOptions(settings) {
+  const workWeek = normalizeWorkWeek(settings.weekStartDay, settings.weekendDays);
+  const dateWindow = buildDateWindow(settings, workWeek);
+
+  return {
+    windowStart: dateWindow.windowStart,
+    windowEnd: dateWindow.windowEnd,
+    windowTerm: dateWindow.windowTerm,
+    includeMilestones: settings.includeMilestones !== false,
+    includePeople: settings.includePeople !== false,
+    people: String(settings.people || "").split(",").map(name => name.trim()).filter(name => name),
+    termsSheetName: settings.termSource === "builtin" ? null : (settings.termsSheetName || TERMS_SHEET_NAME),
+    zoom: settings.zoom,
+    teamTabs: settings.teamTabs === true,
+    workWeek: workWeek
+  };
+}
+
+// The outputs the sidebar can generate: the settings flag that selects each one, the settings key of its
+// destination sheet and the function that generates it
+const TIMELINE_OUTPUTS = [
+  { flag: "generatePeopleView", destinationKey: "destinationSheetName", label: "people timeline", generate: (source, destination, options) => updatePeopleTimeline(source, destination, options) },
+  { flag: "generateProjectView", destinationKey: "projectDestinationSheetName", label: "project timeline", generate: (source, destination, options) => updateProjectTimeline(source, destination, options) },
+  { flag: "generateCapacityReport", destinationKey: "capacityDestinationSheetName", label: "capacity report", generate: (source, destination, options) => updateCapacityReport(source, destination, options) }
+];
+
+/**
+ * Lists the sheets the script writes reports to on its own, which must not be chosen as destinations.
+ * @returns {Array<string>} The sheet names.
+ */
+function getReportSheetNames() {
+  return [ISSUES_SHEET_NAME, DEPENDENCIES_SHEET_NAME, LEGEND_SHEET_NAME, PLAN_HISTORY_SHEET_NAME, CHANGES_SHEET_NAME, DRAFT_TIMELINE_SHEET_NAME, TERM_SUMMARY_SHEET_NAME];
+}
+
+/**
+ * Checks the sheet names in the settings and trims them in place.
+ * @param {Object} settings The timeline settings, see DEFAULT_TIMELINE_SETTINGS.
+ */
+function validateTimelineSheetNames(settings) {
+  settings.sourceSheetName = String(settings.sourceSheetName || "").trim();
+  if (!settings.sourceSheetName) {
+    throw new Error("Please choose a source sheet.");
+  }
+
+  const selectedOutputs = TIMELINE_OUTPUTS.filter(output => settings[output.flag]);
+  if (selectedOutputs.length === 0) {
+    throw new Error("Please choose at least one timeline or report to generate.");
+  }
+
+  const sourceTabs = getLocalSourceSheetNames(SpreadsheetApp.getActiveSpreadsheet());
+  const destinations = new Set();
+  selectedOutputs.forEach(output => {
+    const destination = String(settings[output.destinationKey] || "").trim();
+    settings[output.destinationKey] = destination;
+    if (!destination) {
+      throw new Error(`Please choose a destination sheet for the ${output.label}.`);
+    }
+    if (getReportSheetNames().indexOf(destination) !== -1) {
+      throw new Error(`'${destination}' is reserved for a generated report; please choose another sheet for the ${output.label}.`);
+    }
+    if (destination === settings.sourceSheetName || destination === getDraftSheetName(settings.sourceSheetName)) {
+      throw new Error(`The ${output.label} sheet must be different from the source sheet and its draft, or the source data would be overwritten.`);
+    }
+    if (sourceTabs.indexOf(destination) !== -1) {
+      throw new Error(`'${destination}' is listed in the '${SOURCES_SHEET_NAME}' sheet; please choose another sheet for the ${output.label}.`);
+    }
+    if (destinations.has(destination)) {
+      throw new Error(`'${destination}' is chosen for more than one output; please give each its own sheet.`);
+    }
+    destinations.add(destination);
+  });
+}
+
+/**
+ * Generates the timelines and reports selected in the settings, holding the document lock (see Triggers.js).
+ * The source sheet is first rebuilt from the tabs in the Sources sheet, if there is one (see Sources.js).
+ * @param {Object} settings The validated timeline settings, see DEFAULT_TIMELINE_SETTINGS.
+ * @param {Object} options The options returned by buildTimelineOptions().
+ * @returns {Array<string>} The names of the sheets that were generated.
+ */
+function generateSelectedTimelines(settings, options) {
+  return withTimelineLock(settings, () => {
+    const generated = [];
+    if (!mergeSourceSheets(settings.sourceSheetName)) {
+      return generated;
+    }
+    TIMELINE_OUTPUTS.forEach(output => {
+      if (settings[output.flag] && output.generate(settings.sourceSheetName, settings[output.destinationKey], options)) {
+        generated.push(settings[output.destinationKey]);
+      }
+    });
+    return generated;
+  });
+}
+
+/**
+ * Called by the sidebar's Generate button: validates and saves the settings, then generates the timelines.
+ * Errors are thrown so the sidebar can display them.
+ * @param {Object} settings The timeline settings, see DEFAULT_TIMELINE_SETTINGS.
+ * @returns {string} A status message for the sidebar.
+ */
+function runTimelineFromSidebar(settings) {
+  const mergedSettings = Object.assign({}, DEFAULT_TIMELINE_SETTINGS, settings);
+  validateTimelineSheetNames(mergedSettings);
+
+  const options = buildTimelineOptions(mergedSettings);
+  saveTimelineSettings(mergedSettings);
+  applyRegenerationSchedule(mergedSettings);
+
+  const generated = generateSelectedTimelines(mergedSettings, options);
+  if (generated.length === 0) {
+    return "No timeline was generated, see the message above for details.";
+  }
+  return `Timeline generated in ${generated.map(name => `'${name}'`).join(" and ")}.`;
+}
+
+/**
+ * Menu handler that regenerates the timelines with the last settings saved for this document.
+ */
+function regenerateTimelineWithSavedSettings() {
+  const settings = getTimelineSettings();
+  let options;
+  try {
+    validateTimelineSheetNames(settings);
+    options = buildTimelineOptions(settings);
+  } catch (err) {
+    showMessage("Error", `The saved settings are invalid: ${err.message} Please open the sidebar to fix them.`);
+    return;
+  }
+  const generated = generateSelectedTimelines(settings, options);
+  if (generated.length > 0) {
+    SpreadsheetApp.getActiveSpreadsheet().toast(`Timeline generated in ${generated.map(name => `'${name}'`).join(" and ")}.`, "Team Planning");
+  }
+}
+
+/**
+ * Menu handler that generates only the capacity report, using the source sheet and options last saved for this document.
+ */
+function generateCapacityReportWithSavedSettings() {
+  const settings = getTimelineSettings();
+  settings.generatePeopleView = false;
+  settings.generateProjectView = false;
+  settings.generateCapacityReport = true;
+  let options;
+  try {
+    validateTimelineSheetNames(settings);
+    options = buildTimelineOptions(settings);
+  } catch (err) {
+    showMessage("Error", `The saved settings are invalid: ${err.message} Please open the sidebar to fix them.`);
+    return;
+  }
+  const generate = () => mergeSourceSheets(settings.sourceSheetName) &&
+    updateCapacityReport(settings.sourceSheetName, settings.capacityDestinationSheetName, options);
+  if (withTimelineLock(settings, generate)) {
+    SpreadsheetApp.getActiveSpreadsheet().toast(`Capacity report generated in '${settings.capacityDestinationSheetName}'.`, "Team Planning");
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Deadline milestones drawn as vertical markers.
+ * Milestone rows (Person = 'Milestone') may have an optional "Type" column: "deadline" for a single day that matters
+ * to everyone (a release date, a code freeze) and "range" for a stretch of time. Without a type, a milestone whose
+ * start and end dates are the same day is a deadline. Ranged milestones keep their packed bars in the frozen rows
+ * (see populateCustomerRows()); deadlines get a label cell in a "Deadlines" row below them, with a note giving the
+ * name and date, and a colored left edge on their column down the whole chart. Bars crossing a deadline are split
+ * there, like at the today marker, so the edge stays visible.
+ */
+
+// Header of the optional milestone type column
+const MILESTONE_TYPE_HEADER = "Type";
+
+// Milestone types (case-insensitive)
+const DEADLINE_MILESTONE_TYPE = "deadline";
+const RANGE_MILESTONE_TYPE = "range";
+
+// Label cell fill and left edge of the deadline markers
+const DEADLINE_MARKER_COLOR = "#8E7CC3"; // Purple
+
+// First-column label of the row holding the deadline names
+const DEADLINE_ROW_LABEL = "Deadlines";
+
+/**
+ * Works out a milestone's type.
+ * @param {*} type The Type cell value, blank if the column is missing.
+ * @param {Date} startDate The start date, at UTC midnight.
+ * @param {Date} endDate The end date, at UTC midnight.
+ * @returns {string} DEADLINE_MILESTONE_TYPE or RANGE_MILESTONE_TYPE; without a known type, a deadline if the milestone
+ *     is a single day.
+ */
+function getMilestoneType(type, startDate, endDate) {
+  const normalized = String(type || "").trim().toLowerCase();
+  if (normalized === DEADLINE_MILESTONE_TYPE || normalized === RANGE_MILESTONE_TYPE) {
+    return normalized;
+  }
+  return startDate.getTime() === endDate.getTime() ? DEADLINE_MILESTONE_TYPE : RANGE_MILESTONE_TYPE;
+}
+
+/**
+ * Tells whether a milestone is drawn as a marker rather than a bar.
+ * @param {{type: string}} milestone The milestone, as returned by getMilestoneData().
+ * @returns {boolean} True for deadlines.
+ */
+function isDeadlineMilestone(milestone) {
+  return milestone.type === DEADLINE_MILESTONE_TYPE;
+}
+
+/**
+ * Draws the Deadlines row: each deadline's name in its column, with a note listing the deadlines there.
+ * Remembers the row and the deadline columns on the buffer, so bars drawn afterwards are split at the columns and
+ * drawMilestoneMarkers() draws the edges. Must run before the chart rows are drawn.
+ * @param {Object} buffer The render buffer returned by layoutTimelineHeaders().
+ * @param {Array<Object>} deadlines The deadline milestones, see isDeadlineMilestone().
+ * @param {Map<string, number>} dailyDateToSheetColMap Maps YYYY-MM-DD to its sheet column index.
+ * @param {number} totalHeaderColumns The total number of columns in the chart.
+ * @param {number} row The row to draw in.
+ * @param {Map<number, string>} [blockedColumns] The holiday columns to shade, see getBlockedColumns().
+ * @returns {number} The row after the Deadlines row, or the same row if there are no deadlines.
+ */
+function drawDeadlineRow(buffer, deadlines, dailyDateToSheetColMap, totalHeaderColumns, row, blockedColumns) {
+  // Several deadlines can share a column, e.g. in the same week at "week" zoom
+  const deadlinesByColumn = new Map();
+  deadlines.forEach(deadline => {
+    const column = dailyDateToSheetColMap.get(toDateKey(deadline.endDate));
+    if (column === undefined) {
+      buffer.warnings.push(`Deadline '${deadline.name}' (${toDateKey(deadline.endDate)}) is outside the chart. Skipping.`);
+      return;
+    }
+    if (!deadlinesByColumn.has(column)) {
+      deadlinesByColumn.set(column, []);
+    }
+    deadlinesByColumn.get(column).push(deadline);
+  });
+  if (deadlinesByColumn.size === 0) {
+    return row;
+  }
+
+  setBufferValue(buffer, row, 1, DEADLINE_ROW_LABEL);
+  formatBufferRange(buffer, row, 1, 1, 1, { fontWeight: "bold", verticalAlignment: "middle" });
+  fillEmptyChartRow(buffer, row, totalHeaderColumns, blockedColumns || new Map());
+
+  deadlinesByColumn.forEach((columnDeadlines, column) => {
+    columnDeadlines.sort((a, b) => a.endDate.getTime() - b.endDate.getTime());
+    // Not wrapped, so the names run on over the empty cells to the right
+    setBufferValue(buffer, row, column, columnDeadlines.map(deadline => deadline.name).join(" / "));
+    setBufferNote(buffer, row, column, columnDeadlines.map(deadline => `${deadline.name}: ${toDateKey(deadline.endDate)}`).join("\n"));
+    formatBufferRange(buffer, row, column, 1, 1, {
+      background: DEADLINE_MARKER_COLOR,
+      fontWeight: "bold",
+      fontSize: 7,
+      wrap: false,
+      verticalAlignment: "middle"
+    });
+  });
+
+  buffer.deadlineRow = row;
+  buffer.deadlineColumns = Array.from(deadlinesByColumn.keys()).sort((a, b) => a - b);
+  return row + 1;
+}
+
+/**
+ * Draws the deadline markers, a purple left edge on each deadline column from the Deadlines row to the last chart row.
+ * Does nothing if the chart has no Deadlines row.
+ * @param {Object} buffer The render buffer, with the deadline columns set by drawDeadlineRow().
+ */
+function drawMilestoneMarkers(buffer) {
+  if (buffer.deadlineRow === undefined) {
+    return;
+  }
+  buffer.deadlineColumns.forEach(column => {
+    borderBufferRange(buffer, buffer.deadlineRow, column, buffer.numRows - buffer.deadlineRow + 1, 1,
+      { color: DEADLINE_MARKER_COLOR, style: "SOLID_MEDIUM", edges: "left" });
+  });
+}
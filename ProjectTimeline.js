@@ -0,0 +1,124 @@
+/**
+ * Project-centric Gantt view: one row per JIRA project key, with the project summary (linked to JIRA)
+ * in the fixed column and each assigned person's stint drawn as a bar labeled with their name.
+ * Stints on the same project are packed onto as few rows as possible, the same way updatePeopleTimeline()
+ * packs a person's projects. Shares the source data, terms, holidays, headers and milestone rows with the people view;
+ * a bar leaves a gap on each holiday and on each day of the person's PTO. Laid out like the people view, see Layout.js.
+ */
+
+/**
+ * Builds the project Gantt chart from the source sheet into the destination sheet.
+ * @param {string} sourceSheetName The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {string} destinationSheetName The sheet to (re)generate the chart in. Created if it does not exist.
+ * @param {Object} [options] Optional settings, see normalizeTimelineOptions() in Code.js.
+ * @returns {boolean} True if the chart was generated.
+ */
+function updateProjectTimeline(sourceSheetName, destinationSheetName, options) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const timelineOptions = normalizeTimelineOptions(options);
+
+  const sourceSheet = spreadsheet.getSheetByName(sourceSheetName);
+
+  if (!sourceSheet) {
+    Logger.log(`Error: Source sheet '${sourceSheetName}' not found.`);
+    showMessage("Error", `Source sheet '${sourceSheetName}' not found.`);
+    return false;
+  }
+
+  const chartData = readPeopleTimelineData(spreadsheet, sourceSheet, timelineOptions, true);
+  if (!chartData) {
+    return false;
+  }
+
+  const plan = layoutProjectChart(chartData, getToday());
+  if (!plan) {
+    Logger.log("No valid project or milestone data found to create the project Gantt chart.");
+    showMessage("Info", "No valid project or milestone data found to create the project Gantt chart.");
+    return false;
+  }
+
+  writeChartPlan(prepareGanttSheet(spreadsheet, destinationSheetName), plan);
+  return true;
+}
+
+/**
+ * Lays out the project Gantt chart without touching the spreadsheet (see Layout.js).
+ * @param {Object} chartData The data returned by readPeopleTimelineData().
+ * @param {Date} today Today, at UTC midnight, see getToday().
+ * @returns {?Object} The chart plan returned by finishChartLayout(), or null if there is nothing to draw.
+ */
+function layoutProjectChart(chartData, today) {
+  const timelineOptions = chartData.timelineOptions;
+  const assignments = chartData.assignments;
+  const milestoneData = chartData.milestoneData;
+  const calendar = chartData.calendar;
+  const projects = groupAssignmentsByProject(assignments);
+
+  if (projects.length === 0 && milestoneData.length === 0) {
+    return null;
+  }
+
+  const dateRange = getTimelineDateRange(assignments.concat(milestoneData), timelineOptions);
+
+  const headerInfo = layoutTimelineHeaders(dateRange.minDate, dateRange.maxDate, 1, chartData.terms, calendar.holidays, timelineOptions.zoom, timelineOptions.workWeek, today); // 1 because 'Project' is column 1
+  const dailyDateToSheetColMap = headerInfo.dailyDateToSheetColMap;
+  const totalHeaderColumns = headerInfo.totalHeaderColumns;
+  const buffer = headerInfo.buffer;
+
+  const holidayColumns = getBlockedColumns(calendar, null, dailyDateToSheetColMap);
+  let currentRow = layoutMilestoneRows(headerInfo, milestoneData, holidayColumns);
+  const frozenRows = currentRow - 1;
+
+  const getPersonColor = createColorPicker(chartData.colorOverrides);
+
+  projects.forEach(project => {
+    const projectLabel = project.summary || project.key;
+    const jiraUrl = project.key ? JIRA_BASE_URL + project.key : null;
+
+    packNonOverlapping(project.assignments.map(assignment => snapToTimelineColumns(assignment, headerInfo))).forEach(rowAssignments => {
+      setBufferValue(buffer, currentRow, 1, projectLabel, jiraUrl);
+      formatBufferRange(buffer, currentRow, 1, 1, 1, { background: "#FFFFFF", wrap: true, verticalAlignment: "middle" });
+      fillEmptyChartRow(buffer, currentRow, totalHeaderColumns, holidayColumns);
+
+      rowAssignments.forEach(assignment => {
+        drawAssignmentBar(buffer, currentRow, assignment, dailyDateToSheetColMap, totalHeaderColumns, styleBarByStatus(markContinuingBar(markDependentBar({
+          text: formatAllocationLabel(assignment.person, assignment.allocation),
+          linkUrl: null,
+          color: getPersonColor(assignment.person)
+        }, chartData.dependencies, assignment.key), assignment), assignment), getBlockedColumns(calendar, assignment.person, dailyDateToSheetColMap)); // Gaps for holidays and the person's time off
+      });
+      currentRow++;
+    });
+  });
+
+  return finishChartLayout(headerInfo, frozenRows, currentRow);
+}
+
+/**
+ * Groups assignments by JIRA project key. Rows without a key are grouped by their summary instead.
+ * @param {Array<Object>} assignments The assignments returned by readTimelineAssignments().
+ * @returns {Array<{key: string, summary: string, assignments: Array<Object>}>} The projects, ordered by earliest start date and then key.
+ */
+function groupAssignmentsByProject(assignments) {
+  const projectsById = new Map();
+
+  assignments.forEach(assignment => {
+    const projectId = assignment.key ? `key:${assignment.key}` : `summary:${assignment.summary}`;
+    if (!projectsById.has(projectId)) {
+      projectsById.set(projectId, { key: assignment.key, summary: assignment.summary, assignments: [] });
+    }
+    const project = projectsById.get(projectId);
+    if (!project.summary && assignment.summary) {
+      project.summary = assignment.summary;
+    }
+    project.assignments.push(assignment);
+  });
+
+  const projects = Array.from(projectsById.values());
+  projects.forEach(project => {
+    project.startDate = new Date(Math.min.apply(null, project.assignments.map(assignment => assignment.startDate.getTime())));
+  });
+  projects.sort((a, b) => (a.startDate - b.startDate) || String(a.key).localeCompare(String(b.key)));
+
+  return projects;
+}
@@ -0,0 +1,287 @@
+/**
+ * In-memory render buffer for the Gantt sheets.
+ * Charts are drawn into a buffer (values, links, notes, cell formats, merges and borders) and then written to the
+ * sheet with flushRenderBuffer() in a fixed, small number of bulk calls, instead of several Range calls per bar.
+ * Drawing into a buffer needs no sheet, see Layout.js.
+ * Rows and columns are 1-based, matching Sheet.getRange().
+ */
+
+// Cell format used for cells nothing has been drawn in, matching a sheet after clearFormats()
+const DEFAULT_CELL_FORMAT = {
+  background: null,
+  fontColor: "#000000",
+  fontWeight: "normal",
+  fontSize: 10,
+  fontLine: "none",
+  horizontalAlignment: "normal",
+  verticalAlignment: "bottom",
+  wrap: false
+};
+
+/**
+ * Creates an empty render buffer. Rows are added on demand as cells are drawn.
+ * @param {number} numColumns The number of columns in the chart.
+ * @returns {Object} The render buffer.
+ */
+function createRenderBuffer(numColumns) {
+  const buffer = {
+    numRows: 0,
+    numColumns: numColumns,
+    values: [],
+    links: [],
+    notes: [],
+    merges: [],
+    borders: [],
+    warnings: [] // Problems found while drawing, logged when the chart is written
+  };
+  Object.keys(DEFAULT_CELL_FORMAT).forEach(property => {
+    buffer[property] = [];
+  });
+  return buffer;
+}
+
+/**
+ * Grows the buffer so it contains at least the given number of rows.
+ * @param {Object} buffer The render buffer.
+ * @param {number} numRows The number of rows required.
+ */
+function ensureBufferRows(buffer, numRows) {
+  while (buffer.numRows < numRows) {
+    buffer.values.push(new Array(buffer.numColumns).fill(""));
+    buffer.links.push(new Array(buffer.numColumns).fill(null));
+    buffer.notes.push(new Array(buffer.numColumns).fill(""));
+    Object.keys(DEFAULT_CELL_FORMAT).forEach(property => {
+      buffer[property].push(new Array(buffer.numColumns).fill(DEFAULT_CELL_FORMAT[property]));
+    });
+    buffer.numRows++;
+  }
+}
+
+/**
+ * Applies cell formats to a block of cells.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The first row.
+ * @param {number} column The first column.
+ * @param {number} numRows The number of rows.
+ * @param {number} numColumns The number of columns.
+ * @param {Object} format Any of the DEFAULT_CELL_FORMAT properties to set.
+ */
+function formatBufferRange(buffer, row, column, numRows, numColumns, format) {
+  ensureBufferRows(buffer, row + numRows - 1);
+  Object.keys(format).forEach(property => {
+    if (!(property in DEFAULT_CELL_FORMAT)) {
+      throw new Error(`Unknown cell format property '${property}'.`);
+    }
+    for (let r = row - 1; r < row - 1 + numRows; r++) {
+      for (let c = column - 1; c < column - 1 + numColumns; c++) {
+        buffer[property][r][c] = format[property];
+      }
+    }
+  });
+}
+
+/**
+ * Sets the value of a cell, optionally as a hyperlink.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The row.
+ * @param {number} column The column.
+ * @param {*} value The value to display. Dates are calendar days at UTC midnight (see Dates.js) and are shown as that day.
+ * @param {string|Array<{start: number, end: number, url: string}>} [linkUrl] The URL to link the whole text to,
+ *     or a list of links for parts of the text (character offsets, end exclusive).
+ */
+function setBufferValue(buffer, row, column, value, linkUrl) {
+  ensureBufferRows(buffer, row);
+  buffer.values[row - 1][column - 1] = value instanceof Date ? toSheetDate(value) : value;
+  buffer.links[row - 1][column - 1] = Array.isArray(linkUrl) && linkUrl.length === 0 ? null : (linkUrl || null);
+}
+
+/**
+ * Sets the note shown when hovering over a cell.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The row.
+ * @param {number} column The column.
+ * @param {string} note The note text.
+ */
+function setBufferNote(buffer, row, column, note) {
+  ensureBufferRows(buffer, row);
+  buffer.notes[row - 1][column - 1] = note;
+}
+
+/**
+ * Marks a block of cells to be merged. Single cells are ignored.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The first row.
+ * @param {number} column The first column.
+ * @param {number} numRows The number of rows.
+ * @param {number} numColumns The number of columns.
+ */
+function mergeBufferRange(buffer, row, column, numRows, numColumns) {
+  ensureBufferRows(buffer, row + numRows - 1);
+  if (numRows * numColumns > 1) {
+    buffer.merges.push({ row: row, column: column, numRows: numRows, numColumns: numColumns });
+  }
+}
+
+/**
+ * Marks a block of cells to get a border, by default solid black on all sides and between cells.
+ * Styled borders are drawn after the default ones, so they win where blocks share an edge.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The first row.
+ * @param {number} column The first column.
+ * @param {number} numRows The number of rows.
+ * @param {number} numColumns The number of columns.
+ * @param {{color: string, style: string, edges: string}} [borderStyle] The border color, a SpreadsheetApp.BorderStyle name
+ *     (e.g. "SOLID_THICK", "DASHED"), and which edges to draw: "all" (default) or "left" for just the left edge of the block.
+ */
+function borderBufferRange(buffer, row, column, numRows, numColumns, borderStyle) {
+  ensureBufferRows(buffer, row + numRows - 1);
+  buffer.borders.push({ row: row, column: column, numRows: numRows, numColumns: numColumns, borderStyle: borderStyle || null });
+}
+
+/**
+ * Converts a 1-based column index to its A1 letters (1 -> A, 27 -> AA).
+ * @param {number} column The column index.
+ * @returns {string} The column letters.
+ */
+function columnToLetter(column) {
+  let letters = "";
+  let remaining = column;
+  while (remaining > 0) {
+    const mod = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + mod) + letters;
+    remaining = Math.floor((remaining - mod) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Converts a block of cells to A1 notation.
+ * @param {{row: number, column: number, numRows: number, numColumns: number}} block The block of cells.
+ * @returns {string} The A1 notation, e.g. "B3:F3".
+ */
+function blockToA1Notation(block) {
+  return columnToLetter(block.column) + block.row + ":" +
+    columnToLetter(block.column + block.numColumns - 1) + (block.row + block.numRows - 1);
+}
+
+/**
+ * Grows a sheet so it has at least the given number of rows and columns.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to grow.
+ * @param {number} numRows The number of rows required.
+ * @param {number} numColumns The number of columns required.
+ */
+function ensureSheetSize(sheet, numRows, numColumns) {
+  if (sheet.getMaxRows() < numRows) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), numRows - sheet.getMaxRows());
+  }
+  if (sheet.getMaxColumns() < numColumns) {
+    sheet.insertColumnsAfter(sheet.getMaxColumns(), numColumns - sheet.getMaxColumns());
+  }
+}
+
+/**
+ * Writes the buffer to the top-left of a cleared sheet, growing the sheet if needed.
+ * Merges go through the Sheets advanced service in a single batch request when it is enabled,
+ * and fall back to one Range.merge() call per merged block otherwise.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to write to.
+ * @param {Object} buffer The render buffer.
+ */
+function flushRenderBuffer(sheet, buffer) {
+  if (buffer.numRows === 0 || buffer.numColumns === 0) {
+    return;
+  }
+
+  ensureSheetSize(sheet, buffer.numRows, buffer.numColumns);
+
+  const range = sheet.getRange(1, 1, buffer.numRows, buffer.numColumns);
+  range.setValues(buffer.values);
+
+  // Rich text is only written for the rows that contain links, reusing one empty value for blank cells.
+  const linkRows = [];
+  buffer.links.forEach((rowLinks, rowIndex) => {
+    if (rowLinks.some(link => link)) {
+      linkRows.push(rowIndex);
+    }
+  });
+  if (linkRows.length > 0) {
+    const firstLinkRow = linkRows[0];
+    const lastLinkRow = linkRows[linkRows.length - 1];
+    const emptyRichText = SpreadsheetApp.newRichTextValue().setText("").build();
+    const richTextValues = [];
+    for (let r = firstLinkRow; r <= lastLinkRow; r++) {
+      richTextValues.push(buffer.values[r].map((value, c) => {
+        if (value === "" || value === null) {
+          return emptyRichText;
+        }
+        const builder = SpreadsheetApp.newRichTextValue().setText(String(value));
+        const link = buffer.links[r][c];
+        if (Array.isArray(link)) {
+          link.forEach(part => builder.setLinkUrl(part.start, part.end, part.url));
+        } else if (link) {
+          builder.setLinkUrl(link);
+        }
+        return builder.build();
+      }));
+    }
+    sheet.getRange(firstLinkRow + 1, 1, richTextValues.length, buffer.numColumns).setRichTextValues(richTextValues);
+  }
+
+  // Formats are applied after the rich text, which would otherwise reset the text styles.
+  range.setBackgrounds(buffer.background);
+  range.setFontColors(buffer.fontColor);
+  range.setFontWeights(buffer.fontWeight);
+  range.setFontSizes(buffer.fontSize);
+  range.setFontLines(buffer.fontLine);
+  range.setHorizontalAlignments(buffer.horizontalAlignment);
+  range.setVerticalAlignments(buffer.verticalAlignment);
+  range.setWraps(buffer.wrap);
+
+  if (buffer.notes.some(rowNotes => rowNotes.some(note => note))) {
+    range.setNotes(buffer.notes);
+  }
+
+  const defaultBorders = buffer.borders.filter(block => !block.borderStyle);
+  if (defaultBorders.length > 0) {
+    sheet.getRangeList(defaultBorders.map(blockToA1Notation)).setBorder(true, true, true, true, true, true);
+  }
+  // One call per distinct border style
+  const styledBorders = new Map();
+  buffer.borders.filter(block => block.borderStyle).forEach(block => {
+    const styleKey = JSON.stringify(block.borderStyle);
+    if (!styledBorders.has(styleKey)) {
+      styledBorders.set(styleKey, { borderStyle: block.borderStyle, blocks: [] });
+    }
+    styledBorders.get(styleKey).blocks.push(block);
+  });
+  styledBorders.forEach(group => {
+    const style = group.borderStyle;
+    const otherEdges = style.edges === "left" ? null : true; // null leaves the existing border alone
+    sheet.getRangeList(group.blocks.map(blockToA1Notation)).setBorder(otherEdges, true, otherEdges, otherEdges, otherEdges, otherEdges,
+      style.color || null, SpreadsheetApp.BorderStyle[style.style || "SOLID"]);
+  });
+
+  if (buffer.merges.length === 0) {
+    return;
+  }
+  if (typeof Sheets !== "undefined") {
+    SpreadsheetApp.flush();
+    const sheetId = sheet.getSheetId();
+    const requests = buffer.merges.map(block => ({
+      mergeCells: {
+        range: {
+          sheetId: sheetId,
+          startRowIndex: block.row - 1,
+          endRowIndex: block.row - 1 + block.numRows,
+          startColumnIndex: block.column - 1,
+          endColumnIndex: block.column - 1 + block.numColumns
+        },
+        mergeType: "MERGE_ALL"
+      }
+    }));
+    Sheets.Spreadsheets.batchUpdate({ requests: requests }, sheet.getParent().getId());
+  } else {
+    buffer.merges.forEach(block => {
+      sheet.getRange(block.row, block.column, block.numRows, block.numColumns).merge();
+    });
+  }
+}
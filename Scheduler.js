@@ -0,0 +1,314 @@
+/**
+ * Scheduling from effort estimates.
+ * Rows in the source sheet with a Person, a Project and an effort estimate (the optional "Effort (days)" column, in
+ * full working days) but no Start or End Date are laid out automatically: each person's unscheduled rows are placed
+ * one after another, in order of the optional "Priority" column (lowest first, blank last) and never before the
+ * optional "Earliest Start" date. Only working days count (see Holidays.js), a row never overlaps the person's rows
+ * that already have dates, and work is kept inside the terms: a row that does not fit in what is left of a term
+ * starts with the next one, unless it is longer than a whole term.
+ * The proposed dates go into a draft copy of the source sheet (DRAFT_SHEET_SUFFIX), highlighted, and the draft is
+ * drawn into DRAFT_TIMELINE_SHEET_NAME. The source sheet itself is never changed; copy the dates over once agreed.
+ */
+
+// Accepted headers for the effort column, in order of preference
+const EFFORT_HEADERS = ["Effort (days)", "Effort"];
+
+// Optional scheduling columns
+const PRIORITY_HEADER = "Priority";
+const EARLIEST_START_HEADER = "Earliest Start";
+
+// The draft copy is named after the source sheet with this suffix
+const DRAFT_SHEET_SUFFIX = " (Draft)";
+
+// Sheet the draft is drawn into
+const DRAFT_TIMELINE_SHEET_NAME = "Draft Timeline";
+
+// Fill for the proposed dates in the draft
+const PROPOSED_DATE_COLOR = "#FFF2CC"; // Light yellow
+
+/**
+ * Finds the effort column in a header row.
+ * @param {Array<*>} headerRow The header row of the source sheet.
+ * @returns {number} The zero-based column index, or -1 if the sheet has no effort column.
+ */
+function findEffortColumn(headerRow) {
+  for (const header of EFFORT_HEADERS) {
+    const col = headerRow.indexOf(header);
+    if (col !== -1) {
+      return col;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses an effort cell.
+ * @param {*} value The raw cell value, a number of working days.
+ * @returns {?number} The effort rounded up to whole days, or null if the cell is blank or not a positive number.
+ */
+function parseEffort(value) {
+  if (value === "" || value === null || value === undefined) {
+    return null;
+  }
+  const days = Number(value);
+  return isFinite(days) && days > 0 ? Math.ceil(days) : null;
+}
+
+/**
+ * Names the draft copy of a source sheet.
+ * @param {string} sourceSheetName The source sheet.
+ * @returns {string} The draft sheet name.
+ */
+function getDraftSheetName(sourceSheetName) {
+  return sourceSheetName + DRAFT_SHEET_SUFFIX;
+}
+
+/**
+ * Picks the first day work may be scheduled on: the window start if one is set and not in the past (the default window
+ * starts a week ago), else the start of the next term.
+ * @param {Array<{startDate: Date}>} terms The terms returned by getTimelineTerms(), sorted by start date.
+ * @param {?Date} windowStart The date window start from the timeline options.
+ * @returns {Date} The day, at UTC midnight; today if no term starts after today.
+ */
+function getScheduleStart(terms, windowStart) {
+  const today = getToday();
+  if (windowStart && windowStart >= today) {
+    return windowStart;
+  }
+  const nextTerm = terms.find(term => term.startDate > today);
+  return nextTerm ? nextTerm.startDate : today;
+}
+
+/**
+ * Reads the rows that have an effort estimate and no dates.
+ * @param {Array<Array<*>>} allData The source sheet values, header row first.
+ * @returns {Array<{row: number, person: string, project: string, summary: string, effort: number, priority: number, earliestStart: ?Date}>}
+ *     The rows to schedule, with their sheet row numbers; empty without an effort column.
+ */
+function readUnscheduledRows(allData) {
+  const headerRow = allData[0];
+  const personCol = headerRow.indexOf("Person");
+  const projectCol = headerRow.indexOf("Project");
+  const summaryCol = headerRow.indexOf("Summary");
+  const startCol = headerRow.indexOf("Start Date");
+  const endCol = headerRow.indexOf("End Date");
+  const effortCol = findEffortColumn(headerRow);
+  const priorityCol = headerRow.indexOf(PRIORITY_HEADER); // Optional
+  const earliestStartCol = headerRow.indexOf(EARLIEST_START_HEADER); // Optional
+  if (effortCol === -1) {
+    return [];
+  }
+
+  const rows = [];
+  allData.slice(1).forEach((row, index) => {
+    const person = String(row[personCol]).trim();
+    const effort = parseEffort(row[effortCol]);
+    if (!person || person === "Milestone" || isTimeOffRow(row[projectCol]) || effort === null ||
+        row[startCol] !== "" || row[endCol] !== "") {
+      return;
+    }
+    const priority = priorityCol === -1 || row[priorityCol] === "" ? NaN : Number(row[priorityCol]);
+    rows.push({
+      row: index + 2,
+      person: person,
+      project: String(row[projectCol]).trim(),
+      summary: summaryCol === -1 ? "" : String(row[summaryCol]).trim(),
+      effort: effort,
+      priority: isNaN(priority) ? Infinity : priority,
+      earliestStart: earliestStartCol === -1 ? null : parseSheetDate(row[earliestStartCol])
+    });
+  });
+  return rows;
+}
+
+/**
+ * Finds the days a piece of work occupies, starting on or after a day. The work runs over consecutive working days and
+ * never across a day the person already has work on.
+ * @param {number} effort The number of working days needed.
+ * @param {Date} fromDate The first day the work may start, at UTC midnight.
+ * @param {function(string): boolean} isWorkingDay Tells whether a day, given as YYYY-MM-DD, is a working day for the person.
+ * @param {function(string): boolean} isBookedDay Tells whether the person already has work on a day.
+ * @param {Array<{startDate: Date, endDate: Date}>} terms The terms, sorted by start date.
+ * @returns {?{startDate: Date, endDate: Date}} The first and last day of the work, or null if it does not fit before
+ *     the last term ends.
+ */
+function findScheduleSlot(effort, fromDate, isWorkingDay, isBookedDay, terms) {
+  const laterTerms = terms.filter(term => term.endDate >= fromDate);
+  for (let index = 0; index < laterTerms.length; index++) {
+    const termCapacity = getDailyDateKeys(laterTerms[index].startDate, laterTerms[index].endDate)
+      .filter(dateIso => isWorkingDay(dateIso) && !isBookedDay(dateIso)).length;
+    // Work longer than a whole term starts right away and runs on into the following terms
+    const lastIndex = effort > termCapacity ? laterTerms.length - 1 : index;
+
+    let run = [];
+    for (let termIndex = index; termIndex <= lastIndex; termIndex++) {
+      const term = laterTerms[termIndex];
+      for (const dateIso of getDailyDateKeys(fromDate > term.startDate ? fromDate : term.startDate, term.endDate)) {
+        if (isBookedDay(dateIso)) {
+          run = [];
+        } else if (isWorkingDay(dateIso)) {
+          run.push(dateIso);
+          if (run.length === effort) {
+            return { startDate: fromDateKey(run[0]), endDate: fromDateKey(run[effort - 1]) };
+          }
+        }
+      }
+    }
+    if (lastIndex !== index) {
+      return null; // Already searched to the last term
+    }
+  }
+  return null;
+}
+
+/**
+ * Schedules each person's unscheduled rows, one after another.
+ * @param {Array<Object>} unscheduledRows The rows returned by readUnscheduledRows().
+ * @param {Array<Object>} assignments The dated assignments returned by readTimelineAssignments(); the new work goes around them.
+ * @param {Object} calendar The calendar returned by loadWorkingDayCalendar().
+ * @param {Array<Object>} terms The terms returned by getTimelineTerms(), sorted by start date.
+ * @param {Date} scheduleStart The first day work may start, see getScheduleStart().
+ * @returns {{scheduled: Array<Object>, unscheduled: Array<Object>}} The rows given a startDate and endDate, and those
+ *     that did not fit.
+ */
+function scheduleRows(unscheduledRows, assignments, calendar, terms, scheduleStart) {
+  const scheduled = [];
+  const unscheduled = [];
+  const people = Array.from(new Set(unscheduledRows.map(row => row.person)));
+
+  people.forEach(person => {
+    const booked = assignments.filter(assignment => assignment.person === person);
+    const isWorkingDay = dateIso => calendar.isWorkingDay(dateIso, person);
+    const isBookedDay = dateIso => getDailyAllocation(booked, dateIso) > 0;
+    const personRows = unscheduledRows.filter(row => row.person === person).sort((a, b) =>
+      a.priority - b.priority || (a.earliestStart ? a.earliestStart.getTime() : 0) - (b.earliestStart ? b.earliestStart.getTime() : 0) ||
+      a.row - b.row);
+
+    let nextStart = scheduleStart;
+    personRows.forEach(row => {
+      const fromDate = row.earliestStart && row.earliestStart > nextStart ? row.earliestStart : nextStart;
+      const slot = findScheduleSlot(row.effort, fromDate, isWorkingDay, isBookedDay, terms);
+      if (!slot) {
+        unscheduled.push(row);
+        return;
+      }
+      scheduled.push(Object.assign({}, row, slot));
+      nextStart = addDays(slot.endDate, 1);
+    });
+  });
+
+  return { scheduled: scheduled, unscheduled: unscheduled };
+}
+
+/**
+ * Writes the source sheet with the proposed dates filled in to its draft copy, replacing any earlier draft.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to write to.
+ * @param {string} sourceSheetName The source sheet.
+ * @param {Array<Array<*>>} allData The source sheet values, header row first.
+ * @param {Array<Object>} scheduled The scheduled rows returned by scheduleRows().
+ * @returns {string} The draft sheet name.
+ */
+function writeDraftSheet(spreadsheet, sourceSheetName, allData, scheduled) {
+  const startCol = allData[0].indexOf("Start Date");
+  const endCol = allData[0].indexOf("End Date");
+  const draftValues = allData.map(row => row.slice());
+  scheduled.forEach(row => {
+    draftValues[row.row - 1][startCol] = toSheetDate(row.startDate);
+    draftValues[row.row - 1][endCol] = toSheetDate(row.endDate);
+  });
+
+  const draftSheetName = getDraftSheetName(sourceSheetName);
+  const draftSheet = spreadsheet.getSheetByName(draftSheetName) || spreadsheet.insertSheet(draftSheetName);
+  draftSheet.clear();
+  ensureSheetSize(draftSheet, draftValues.length, draftValues[0].length);
+  draftSheet.getRange(1, 1, draftValues.length, draftValues[0].length).setValues(draftValues);
+  draftSheet.setFrozenRows(1);
+  if (scheduled.length > 0) {
+    draftSheet.getRangeList(scheduled.map(row => blockToA1Notation({ row: row.row, column: startCol + 1, numRows: 1, numColumns: 1 }))
+      .concat(scheduled.map(row => blockToA1Notation({ row: row.row, column: endCol + 1, numRows: 1, numColumns: 1 }))))
+      .setBackground(PROPOSED_DATE_COLOR)
+      .setNumberFormat("yyyy-mm-dd");
+  }
+  return draftSheetName;
+}
+
+/**
+ * Proposes dates for the rows with an effort estimate and no dates, writes them to the draft copy of the source sheet
+ * and draws the draft into DRAFT_TIMELINE_SHEET_NAME.
+ * @param {string} sourceSheetName The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {Object} [options] Optional settings, see normalizeTimelineOptions() in Code.js. The work week and terms
+ *     apply to the scheduling; the window start, if set and not in the past, is the first day work is scheduled on.
+ * @returns {?{draftSheetName: string, scheduled: Array<Object>, unscheduled: Array<Object>}} The draft sheet and the
+ *     rows scheduled or left out, or null if nothing was scheduled or drawn (the user has been told why).
+ */
+function scheduleFromEstimates(sourceSheetName, options) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const timelineOptions = normalizeTimelineOptions(options);
+
+  const sourceSheet = spreadsheet.getSheetByName(sourceSheetName);
+  if (!sourceSheet) {
+    Logger.log(`Error: Source sheet '${sourceSheetName}' not found.`);
+    showMessage("Error", `Source sheet '${sourceSheetName}' not found.`);
+    return null;
+  }
+
+  const terms = getTimelineTerms(spreadsheet, timelineOptions.termsSheetName);
+  if (!terms || !resolveTermWindow(timelineOptions, terms)) {
+    return null;
+  }
+
+  const allData = sourceSheet.getDataRange().getValues();
+  const unscheduledRows = allData.length < 2 ? [] : readUnscheduledRows(allData);
+  if (unscheduledRows.length === 0) {
+    Logger.log("No rows with an effort estimate and no dates found to schedule.");
+    showMessage("Info", `No rows to schedule. Rows need a Person, a Project and an '${EFFORT_HEADERS[0]}' value, with Start Date and End Date left blank.`);
+    return null;
+  }
+
+  // Everyone's existing work and time off, whatever the charts are filtered to
+  const validation = validateSourceSheet(spreadsheet, sourceSheet, terms);
+  const skippedRows = validation ? validation.skippedRows : new Set();
+  const planOptions = normalizeTimelineOptions({ termsSheetName: timelineOptions.termsSheetName, workWeek: timelineOptions.workWeek });
+  const assignments = readTimelineAssignments(sourceSheet, planOptions, skippedRows);
+  if (!assignments) {
+    return null;
+  }
+  const calendar = loadWorkingDayCalendar(spreadsheet, sourceSheet, planOptions, skippedRows);
+
+  const result = scheduleRows(unscheduledRows, assignments, calendar, terms, getScheduleStart(terms, timelineOptions.windowStart));
+  result.unscheduled.forEach(row => {
+    Logger.log(`Warning: Could not fit ${row.effort} day(s) of '${row.summary || row.project}' for '${row.person}' (row ${row.row}) before the last term ends.`);
+  });
+
+  const draftSheetName = writeDraftSheet(spreadsheet, sourceSheetName, allData, result.scheduled);
+  // A draft leaves the report sheets and the plan history of the real plan alone
+  if (!updatePeopleTimeline(draftSheetName, DRAFT_TIMELINE_SHEET_NAME, Object.assign({}, options, { isDraft: true }))) {
+    return null;
+  }
+
+  return { draftSheetName: draftSheetName, scheduled: result.scheduled, unscheduled: result.unscheduled };
+}
+
+/**
+ * Menu handler that schedules the estimated rows using the source sheet and options last saved for this document.
+ */
+function scheduleFromEstimatesWithSavedSettings() {
+  const settings = getTimelineSettings();
+  let options;
+  try {
+    validateTimelineSheetNames(settings);
+    options = buildTimelineOptions(settings);
+  } catch (err) {
+    showMessage("Error", `The saved settings are invalid: ${err.message} Please open the sidebar to fix them.`);
+    return;
+  }
+  const result = withTimelineLock(settings, () => mergeSourceSheets(settings.sourceSheetName) &&
+    scheduleFromEstimates(settings.sourceSheetName, options));
+  if (!result) {
+    return;
+  }
+  const notFitted = result.unscheduled.length > 0
+    ? `\\n\\n${result.unscheduled.length} row(s) did not fit before the last term ends: ` + result.unscheduled.map(row => `row ${row.row} (${row.person})`).join(", ")
+    : "";
+  showMessage("Schedule from estimates", `Proposed dates for ${result.scheduled.length} row(s) in '${result.draftSheetName}' and drew them in '${DRAFT_TIMELINE_SHEET_NAME}'. '${settings.sourceSheetName}' is unchanged.${notFitted}`);
+}
@@ -0,0 +1,298 @@
+/**
+ * Plan snapshots and the "what changed" report.
+ * Every people timeline generation appends the full plan (all projects and milestones, ignoring the people filter
+ * and date window) to the hidden "Plan History" sheet under a new snapshot ID; only the last
+ * PLAN_HISTORY_MAX_SNAPSHOTS snapshots are kept, so the history does not grow to the spreadsheet's cell limit with
+ * the scheduled regenerations (see Triggers.js). The "Changes" sheet compares two
+ * snapshots, by default the last two runs: projects added or removed, start and end dates moved (in days),
+ * reassignments, and milestones added, removed or moved. Projects are matched by key, or by summary without one;
+ * milestones by name.
+ */
+
+// Hidden sheet holding every snapshot, one row per project assignment or milestone
+const PLAN_HISTORY_SHEET_NAME = "Plan History";
+
+// Sheet the comparison of two snapshots is written to
+const CHANGES_SHEET_NAME = "Changes";
+
+// Snapshots kept in the history sheet; older ones are deleted when a new one is saved
+const PLAN_HISTORY_MAX_SNAPSHOTS = 100;
+
+// Columns of the history sheet
+const PLAN_HISTORY_HEADERS = ["Snapshot", "Type", "Person", "Project", "Summary", "Start Date", "End Date", "Allocation %"];
+
+// Fills for the kinds of change
+const CHANGE_COLORS = {
+  added: "#D9EAD3", // Light green
+  removed: "#F4CCCC", // Light red
+  moved: "#FCE5CD" // Light orange
+};
+
+/**
+ * Appends the current plan to the history sheet, creating and hiding the sheet on first use.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the history sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {Set<number>} [skippedRows] Sheet row numbers to leave out, as returned by reportSourceIssues().
+ * @returns {?string} The new snapshot ID, or null if the source sheet could not be read.
+ */
+function savePlanSnapshot(spreadsheet, sourceSheet, skippedRows) {
+  // The whole plan, whatever the chart was filtered to
+  const assignments = readTimelineAssignments(sourceSheet, normalizeTimelineOptions({}), skippedRows);
+  if (!assignments) {
+    return null;
+  }
+  const milestones = getMilestoneData(sourceSheet, skippedRows);
+
+  // Milliseconds keep two runs in the same second apart
+  const snapshotId = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm:ss.SSS");
+  const rows = assignments.map(assignment => [
+    snapshotId, "Project", assignment.person, assignment.key, assignment.summary, toSheetDate(assignment.startDate), toSheetDate(assignment.endDate), assignment.allocation
+  ]).concat(milestones.map(milestone => [
+    snapshotId, "Milestone", "", "", milestone.name, toSheetDate(milestone.startDate), toSheetDate(milestone.endDate), ""
+  ]));
+  if (rows.length === 0) {
+    // An empty plan is still a snapshot, so removals show up in the next comparison
+    rows.push([snapshotId, "Empty", "", "", "", "", "", ""]);
+  }
+
+  let historySheet = spreadsheet.getSheetByName(PLAN_HISTORY_SHEET_NAME);
+  if (!historySheet) {
+    historySheet = spreadsheet.insertSheet(PLAN_HISTORY_SHEET_NAME);
+    historySheet.getRange(1, 1, 1, PLAN_HISTORY_HEADERS.length).setValues([PLAN_HISTORY_HEADERS]).setFontWeight("bold");
+    historySheet.setFrozenRows(1);
+    historySheet.hideSheet();
+  }
+  const firstRow = Math.max(historySheet.getLastRow(), 1) + 1;
+  ensureSheetSize(historySheet, firstRow + rows.length - 1, PLAN_HISTORY_HEADERS.length);
+  historySheet.getRange(firstRow, 1, rows.length, 1).setNumberFormat("@"); // Keep the IDs as text rather than dates
+  historySheet.getRange(firstRow, 1, rows.length, PLAN_HISTORY_HEADERS.length).setValues(rows);
+  prunePlanHistory(historySheet);
+
+  return snapshotId;
+}
+
+/**
+ * Deletes the oldest snapshots from the history sheet, keeping the last PLAN_HISTORY_MAX_SNAPSHOTS.
+ * Snapshots are appended whole, so each one is a run of consecutive rows.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} historySheet The history sheet.
+ */
+function prunePlanHistory(historySheet) {
+  const lastRow = historySheet.getLastRow();
+  if (lastRow < 2) {
+    return;
+  }
+  const snapshotIds = historySheet.getRange(2, 1, lastRow - 1, 1).getValues().map(row => String(row[0]));
+  const firstRowById = new Map();
+  snapshotIds.forEach((snapshotId, index) => {
+    if (!firstRowById.has(snapshotId)) {
+      firstRowById.set(snapshotId, index + 2);
+    }
+  });
+  if (firstRowById.size <= PLAN_HISTORY_MAX_SNAPSHOTS) {
+    return;
+  }
+  const firstKeptRow = Array.from(firstRowById.values())[firstRowById.size - PLAN_HISTORY_MAX_SNAPSHOTS];
+  historySheet.deleteRows(2, firstKeptRow - 2);
+}
+
+/**
+ * Reads all snapshots from the history sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the history sheet.
+ * @returns {Map<string, {projects: Array<Object>, milestones: Array<Object>}>} The snapshots by ID, oldest first.
+ */
+function readPlanSnapshots(spreadsheet) {
+  const snapshots = new Map();
+  const historySheet = spreadsheet.getSheetByName(PLAN_HISTORY_SHEET_NAME);
+  if (!historySheet) {
+    return snapshots;
+  }
+
+  historySheet.getDataRange().getValues().slice(1).forEach(row => {
+    const snapshotId = String(row[0]);
+    if (!snapshotId) {
+      return;
+    }
+    if (!snapshots.has(snapshotId)) {
+      snapshots.set(snapshotId, { projects: [], milestones: [] });
+    }
+    const snapshot = snapshots.get(snapshotId);
+    const entry = { person: String(row[2]), key: String(row[3]), summary: String(row[4]), startDate: parseSheetDate(row[5]), endDate: parseSheetDate(row[6]) };
+    if (row[1] === "Project") {
+      snapshot.projects.push(entry);
+    } else if (row[1] === "Milestone") {
+      snapshot.milestones.push(entry);
+    }
+  });
+
+  return snapshots;
+}
+
+/**
+ * Merges a snapshot's assignments into one entry per project.
+ * @param {Array<Object>} assignments The snapshot's project rows.
+ * @returns {Map<string, {id: string, key: string, summary: string, people: Array<string>, startDate: Date, endDate: Date}>} The projects by ID.
+ */
+function groupSnapshotProjects(assignments) {
+  const projects = new Map();
+  assignments.forEach(assignment => {
+    const projectId = assignment.key || assignment.summary;
+    if (!projects.has(projectId)) {
+      projects.set(projectId, { id: projectId, key: assignment.key, summary: assignment.summary, people: [], startDate: assignment.startDate, endDate: assignment.endDate });
+    }
+    const project = projects.get(projectId);
+    if (project.people.indexOf(assignment.person) === -1) {
+      project.people.push(assignment.person);
+    }
+    if (assignment.startDate < project.startDate) project.startDate = assignment.startDate;
+    if (assignment.endDate > project.endDate) project.endDate = assignment.endDate;
+  });
+  projects.forEach(project => project.people.sort());
+  return projects;
+}
+
+/**
+ * Counts the calendar days between two dates.
+ * @param {Date} from The earlier date.
+ * @param {Date} to The later date.
+ * @returns {number} The number of days, negative if `to` is before `from`.
+ */
+function getDaysBetween(from, to) {
+  return Math.round((to - from) / ONE_DAY_MS);
+}
+
+/**
+ * Compares two snapshots.
+ * @param {{projects: Array<Object>, milestones: Array<Object>}} before The older snapshot.
+ * @param {{projects: Array<Object>, milestones: Array<Object>}} after The newer snapshot.
+ * @returns {Array<{change: string, kind: string, project: string, summary: string, before: *, after: *, days: ?number}>}
+ *     The changes, projects first, each kind of change sorted by project.
+ */
+function comparePlanSnapshots(before, after) {
+  const changes = [];
+  const beforeProjects = groupSnapshotProjects(before.projects);
+  const afterProjects = groupSnapshotProjects(after.projects);
+
+  afterProjects.forEach((project, projectId) => {
+    const previous = beforeProjects.get(projectId);
+    if (!previous) {
+      changes.push({ change: "Added", kind: "added", project: project.key, summary: project.summary, before: "", after: project.people.join(", "), days: null });
+      return;
+    }
+    if (previous.startDate.getTime() !== project.startDate.getTime()) {
+      changes.push({ change: "Start moved", kind: "moved", project: project.key, summary: project.summary, before: previous.startDate, after: project.startDate, days: getDaysBetween(previous.startDate, project.startDate) });
+    }
+    if (previous.endDate.getTime() !== project.endDate.getTime()) {
+      changes.push({ change: "End moved", kind: "moved", project: project.key, summary: project.summary, before: previous.endDate, after: project.endDate, days: getDaysBetween(previous.endDate, project.endDate) });
+    }
+    if (previous.people.join(", ") !== project.people.join(", ")) {
+      changes.push({ change: "Reassigned", kind: "moved", project: project.key, summary: project.summary, before: previous.people.join(", "), after: project.people.join(", "), days: null });
+    }
+  });
+  beforeProjects.forEach((project, projectId) => {
+    if (!afterProjects.has(projectId)) {
+      changes.push({ change: "Removed", kind: "removed", project: project.key, summary: project.summary, before: project.people.join(", "), after: "", days: null });
+    }
+  });
+
+  const beforeMilestones = new Map(before.milestones.map(milestone => [milestone.summary, milestone]));
+  const afterMilestones = new Map(after.milestones.map(milestone => [milestone.summary, milestone]));
+  afterMilestones.forEach((milestone, name) => {
+    const previous = beforeMilestones.get(name);
+    if (!previous) {
+      changes.push({ change: "Milestone added", kind: "added", project: "", summary: name, before: "", after: milestone.startDate, days: null });
+    } else if (previous.startDate.getTime() !== milestone.startDate.getTime() || previous.endDate.getTime() !== milestone.endDate.getTime()) {
+      changes.push({ change: "Milestone moved", kind: "moved", project: "", summary: name, before: previous.startDate, after: milestone.startDate, days: getDaysBetween(previous.startDate, milestone.startDate) });
+    }
+  });
+  beforeMilestones.forEach((milestone, name) => {
+    if (!afterMilestones.has(name)) {
+      changes.push({ change: "Milestone removed", kind: "removed", project: "", summary: name, before: milestone.startDate, after: "", days: null });
+    }
+  });
+
+  const changeOrder = ["Added", "Removed", "Start moved", "End moved", "Reassigned", "Milestone added", "Milestone removed", "Milestone moved"];
+  changes.sort((a, b) => (changeOrder.indexOf(a.change) - changeOrder.indexOf(b.change)) ||
+    String(a.project || a.summary).localeCompare(String(b.project || b.summary)));
+  return changes;
+}
+
+/**
+ * Writes the comparison of two snapshots to the Changes sheet, replacing its contents.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the history sheet.
+ * @param {string} [fromSnapshotId] The older snapshot. Defaults to the one before `toSnapshotId`.
+ * @param {string} [toSnapshotId] The newer snapshot. Defaults to the latest.
+ * @returns {boolean} True if the sheet was written; false if there are not enough snapshots or an ID is unknown (the user has been told).
+ */
+function updateChangesSheet(spreadsheet, fromSnapshotId, toSnapshotId) {
+  const snapshots = readPlanSnapshots(spreadsheet);
+  const snapshotIds = Array.from(snapshots.keys());
+  const toId = toSnapshotId || snapshotIds[snapshotIds.length - 1];
+  const fromId = fromSnapshotId || snapshotIds[snapshotIds.indexOf(toId) - 1];
+
+  if (!snapshots.has(toId) || !snapshots.has(fromId)) {
+    const unknownId = [fromSnapshotId, toSnapshotId].find(id => id && !snapshots.has(id));
+    const message = unknownId ? `Snapshot '${unknownId}' was not found in the '${PLAN_HISTORY_SHEET_NAME}' sheet.` : "There is no earlier snapshot to compare with yet.";
+    Logger.log(`Info: ${message}`);
+    spreadsheet.toast(message, "Plan changes");
+    return false;
+  }
+
+  const changes = comparePlanSnapshots(snapshots.get(fromId), snapshots.get(toId));
+  const headers = ["Change", "Project", "Summary", "Before", "After", "Days"];
+  const buffer = createRenderBuffer(headers.length);
+
+  setBufferValue(buffer, 1, 1, `Changes from ${fromId} to ${toId}`);
+  formatBufferRange(buffer, 1, 1, 1, 1, { fontWeight: "bold", fontSize: 12 });
+  headers.forEach((header, index) => setBufferValue(buffer, 2, index + 1, header));
+  formatBufferRange(buffer, 2, 1, 1, headers.length, { fontWeight: "bold", background: "#D3D3D3" });
+
+  if (changes.length === 0) {
+    setBufferValue(buffer, 3, 1, "No changes.");
+  }
+  changes.forEach((change, index) => {
+    const row = index + 3;
+    setBufferValue(buffer, row, 1, change.change);
+    setBufferValue(buffer, row, 2, change.project, change.project ? JIRA_BASE_URL + change.project : null);
+    setBufferValue(buffer, row, 3, change.summary);
+    setBufferValue(buffer, row, 4, change.before);
+    setBufferValue(buffer, row, 5, change.after);
+    setBufferValue(buffer, row, 6, change.days === null ? "" : (change.days > 0 ? `+${change.days}` : String(change.days)));
+    formatBufferRange(buffer, row, 1, 1, 1, { background: CHANGE_COLORS[change.kind] });
+  });
+
+  const changesSheet = prepareGanttSheet(spreadsheet, CHANGES_SHEET_NAME);
+  flushRenderBuffer(changesSheet, buffer);
+  changesSheet.setFrozenRows(2);
+  changesSheet.autoResizeColumns(1, headers.length);
+  return true;
+}
+
+/**
+ * Menu handler that asks for two snapshot IDs and writes their comparison to the Changes sheet.
+ */
+function compareSnapshotsFromPrompt() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const snapshotIds = Array.from(readPlanSnapshots(spreadsheet).keys());
+  if (snapshotIds.length < 2) {
+    showMessage("Plan changes", "At least two snapshots are needed; one is saved each time the people timeline is generated.");
+    return;
+  }
+
+  const ui = SpreadsheetApp.getUi();
+  const recentIds = snapshotIds.slice(-10).reverse();
+  const response = ui.prompt("Compare plan snapshots",
+    "Enter two snapshot IDs separated by a comma (older first), or leave blank to compare the last two runs.\n\nRecent snapshots:\n" + recentIds.join("\n"),
+    ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const requestedIds = response.getResponseText().split(",").map(id => id.trim()).filter(id => id);
+  if (requestedIds.length !== 0 && requestedIds.length !== 2) {
+    showMessage("Plan changes", "Please enter exactly two snapshot IDs, or none.");
+    return;
+  }
+  if (updateChangesSheet(spreadsheet, requestedIds[0], requestedIds[1])) {
+    spreadsheet.setActiveSheet(spreadsheet.getSheetByName(CHANGES_SHEET_NAME));
+  }
+}
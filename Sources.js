@@ -0,0 +1,194 @@
+/**
+ * Merging several planning tabs into the source sheet.
+ * When the optional "Sources" sheet lists any tabs, the source sheet (usually "Combined") is rebuilt from them before
+ * every run instead of being maintained by hand. Each row of the Sources sheet names a Sheet, optionally in another
+ * spreadsheet given by its Spreadsheet ID, and may map the tab's own headers to the standard ones: a Person, Project,
+ * Start Date, End Date or Summary cell holds the header used in that tab, blank when it is the same. Other columns
+ * (Allocation %, Status, Team, ...) are copied when a tab has them. A row repeated in another tab (same Person,
+ * Project, dates and Summary) is kept once, with the other columns filled in from whichever tab has them.
+ * The merged rows carry a SOURCE_HEADER and a SOURCE_ROW_HEADER column, so the Issues sheet can point at the tab and
+ * row each problem came from. Edits belong in the listed tabs; the source sheet is overwritten on the next run.
+ */
+
+// Optional sheet listing the tabs to merge into the source sheet
+const SOURCES_SHEET_NAME = "Sources";
+
+// Columns every tab must provide, under these names or the ones mapped in the Sources sheet
+const SOURCE_COLUMN_HEADERS = ["Person", "Project", "Start Date", "End Date", "Summary"];
+
+// Columns added to the merged rows: the tab and the row in that tab each row came from
+const SOURCE_HEADER = "Source";
+const SOURCE_ROW_HEADER = "Source Row";
+
+/**
+ * Reads the tabs listed in the Sources sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the Sources sheet.
+ * @returns {Array<{sheetName: string, spreadsheetId: string, headers: Object<string, string>}>} The tabs, in sheet
+ *     order, each with the header it uses for each of SOURCE_COLUMN_HEADERS; empty if there is no Sources sheet.
+ */
+function readSourceList(spreadsheet) {
+  const sourcesSheet = spreadsheet.getSheetByName(SOURCES_SHEET_NAME);
+  if (!sourcesSheet) {
+    return [];
+  }
+  const data = sourcesSheet.getDataRange().getValues();
+  const headerRow = data[0] || [];
+  const sheetCol = headerRow.indexOf("Sheet");
+  const spreadsheetIdCol = headerRow.indexOf("Spreadsheet ID"); // Optional
+  if (sheetCol === -1) {
+    Logger.log(`Warning: The '${SOURCES_SHEET_NAME}' sheet has no 'Sheet' column. Ignoring it.`);
+    return [];
+  }
+
+  return data.slice(1)
+    .filter(row => String(row[sheetCol]).trim() !== "")
+    .map(row => {
+      const headers = {};
+      SOURCE_COLUMN_HEADERS.forEach(header => {
+        const col = headerRow.indexOf(header);
+        headers[header] = (col !== -1 && String(row[col]).trim()) || header;
+      });
+      return {
+        sheetName: String(row[sheetCol]).trim(),
+        spreadsheetId: spreadsheetIdCol === -1 ? "" : String(row[spreadsheetIdCol]).trim(),
+        headers: headers
+      };
+    });
+}
+
+/**
+ * Names a listed tab for messages and the Source column.
+ * @param {{sheetName: string, spreadsheetId: string}} source The tab, see readSourceList().
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} [otherSpreadsheet] The other spreadsheet, when already opened.
+ * @returns {string} The tab name, prefixed with the other spreadsheet's name if it is not this one.
+ */
+function formatSourceLabel(source, otherSpreadsheet) {
+  if (!source.spreadsheetId) {
+    return source.sheetName;
+  }
+  return `${otherSpreadsheet ? otherSpreadsheet.getName() : source.spreadsheetId} / ${source.sheetName}`;
+}
+
+/**
+ * Lists the tabs of this spreadsheet that feed the source sheet, so editing them marks the timelines as stale.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the Sources sheet.
+ * @returns {Array<string>} The tab names; empty if the source sheet is not merged.
+ */
+function getLocalSourceSheetNames(spreadsheet) {
+  return readSourceList(spreadsheet).filter(source => !source.spreadsheetId).map(source => source.sheetName);
+}
+
+/**
+ * Rebuilds the source sheet from the tabs listed in the Sources sheet. Does nothing without a Sources sheet.
+ * @param {string} sourceSheetName The sheet to write the merged rows to; created if it does not exist.
+ * @returns {boolean} False if a listed tab could not be read (the user has been told why) and nothing should be generated.
+ */
+function mergeSourceSheets(sourceSheetName) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sources = readSourceList(spreadsheet);
+  if (sources.length === 0) {
+    return true;
+  }
+
+  // --- 1. Read every tab ---
+  const tabs = [];
+  for (const source of sources) {
+    if (!source.spreadsheetId && source.sheetName === sourceSheetName) {
+      Logger.log(`Error: The '${SOURCES_SHEET_NAME}' sheet lists the source sheet '${sourceSheetName}' itself.`);
+      showMessage("Error", `The '${SOURCES_SHEET_NAME}' sheet lists '${sourceSheetName}', which is the sheet the tabs are merged into. Please remove it from the list.`);
+      return false;
+    }
+
+    let otherSpreadsheet = null;
+    if (source.spreadsheetId) {
+      try {
+        otherSpreadsheet = SpreadsheetApp.openById(source.spreadsheetId);
+      } catch (err) {
+        Logger.log(`Error: Could not open spreadsheet '${source.spreadsheetId}': ${err.message}`);
+        showMessage("Error", `Could not open the spreadsheet with ID '${source.spreadsheetId}' listed in the '${SOURCES_SHEET_NAME}' sheet. Please check the ID and that you have access to it.`);
+        return false;
+      }
+    }
+    const label = formatSourceLabel(source, otherSpreadsheet);
+    const sheet = (otherSpreadsheet || spreadsheet).getSheetByName(source.sheetName);
+    if (!sheet) {
+      Logger.log(`Error: Source tab '${label}' not found.`);
+      showMessage("Error", `The tab '${label}' listed in the '${SOURCES_SHEET_NAME}' sheet was not found.`);
+      return false;
+    }
+
+    const data = sheet.getDataRange().getValues();
+    const headerRow = (data[0] || []).map(header => String(header).trim());
+    const missing = SOURCE_COLUMN_HEADERS.filter(header => headerRow.indexOf(source.headers[header]) === -1);
+    if (missing.length > 0) {
+      const missingHeaders = missing.map(header => `'${source.headers[header]}'`).join(", ");
+      Logger.log(`Error: Source tab '${label}' has no ${missingHeaders} column.`);
+      showMessage("Error", `The tab '${label}' has no ${missingHeaders} column. Please add it, or map the column in the '${SOURCES_SHEET_NAME}' sheet.`);
+      return false;
+    }
+    tabs.push({ source: source, label: label, headerRow: headerRow, rows: data.slice(1) });
+  }
+
+  // --- 2. Standard columns first, then every other column in the order first seen ---
+  const mappedHeaders = tab => new Set(SOURCE_COLUMN_HEADERS.map(header => tab.source.headers[header]));
+  const extraHeaders = [];
+  tabs.forEach(tab => {
+    const mapped = mappedHeaders(tab);
+    tab.headerRow.forEach(header => {
+      if (header && !mapped.has(header) && header !== SOURCE_HEADER && header !== SOURCE_ROW_HEADER &&
+          SOURCE_COLUMN_HEADERS.indexOf(header) === -1 && extraHeaders.indexOf(header) === -1) {
+        extraHeaders.push(header);
+      }
+    });
+  });
+  const mergedHeaders = SOURCE_COLUMN_HEADERS.concat(extraHeaders, [SOURCE_HEADER, SOURCE_ROW_HEADER]);
+  const sourceCol = mergedHeaders.indexOf(SOURCE_HEADER);
+
+  // --- 3. Merge the rows, keeping a row repeated in several tabs once ---
+  const mergedRows = [];
+  const mergedRowByContent = new Map();
+  tabs.forEach(tab => {
+    const columns = SOURCE_COLUMN_HEADERS.map(header => tab.headerRow.indexOf(tab.source.headers[header]))
+      .concat(extraHeaders.map(header => tab.headerRow.indexOf(header)));
+    tab.rows.forEach((row, index) => {
+      if (row.every(value => value === "")) {
+        return;
+      }
+      const values = columns.map(col => col === -1 ? "" : row[col]);
+      // Rows are the same project when the standard columns match; repeats within one tab are kept for the
+      // validation pass to report
+      const content = JSON.stringify(values.slice(0, SOURCE_COLUMN_HEADERS.length).map(value => value instanceof Date ? value.getTime() : value));
+      const existing = mergedRowByContent.get(content);
+      if (existing && existing.label !== tab.label) {
+        values.forEach((value, col) => {
+          if (existing.row[col] === "") {
+            existing.row[col] = value; // Fill in columns the first tab does not have
+          }
+        });
+        if (existing.row[sourceCol].split(", ").indexOf(tab.label) === -1) {
+          existing.row[sourceCol] += `, ${tab.label}`;
+        }
+        return;
+      }
+      const mergedRow = values.concat([tab.label, index + 2]);
+      mergedRows.push(mergedRow);
+      if (!existing) {
+        mergedRowByContent.set(content, { label: tab.label, row: mergedRow });
+      }
+    });
+  });
+
+  // --- 4. Write the source sheet ---
+  const sourceSheet = spreadsheet.getSheetByName(sourceSheetName) || spreadsheet.insertSheet(sourceSheetName);
+  sourceSheet.clearContents();
+  const values = [mergedHeaders].concat(mergedRows);
+  ensureSheetSize(sourceSheet, values.length, mergedHeaders.length);
+  // Drop the rows left over from a larger earlier merge, keeping one spare so the frozen header is never the only row
+  if (sourceSheet.getMaxRows() > values.length + 1) {
+    sourceSheet.deleteRows(values.length + 2, sourceSheet.getMaxRows() - values.length - 1);
+  }
+  sourceSheet.getRange(1, 1, values.length, mergedHeaders.length).setValues(values);
+  sourceSheet.setFrozenRows(1);
+  Logger.log(`Merged ${mergedRows.length} row(s) from ${tabs.length} tab(s) into '${sourceSheetName}'.`);
+  return true;
+}
@@ -0,0 +1,132 @@
+/**
+ * Status-aware bar styling and the "today" marker.
+ * The optional "Status" column in the source sheet (filled in by hand or by the JIRA sync) drives how bars are drawn:
+ * done bars are muted and struck through, blocked bars get a dashed border and the BLOCKED_ICON prefix (Sheets has no
+ * hatched fills), in-progress bars get a bold label, and overdue bars (end date before today and not done) get a red
+ * border. The column holding today gets a red left edge down the whole chart; bars crossing it are split there so
+ * the edge stays visible.
+ */
+
+// Header of the optional status column
+const STATUS_HEADER = "Status";
+
+// Status values (case-insensitive) for each category; anything else is drawn with the default style.
+// The JIRA names of the usual workflow statuses are included.
+const DONE_STATUSES = ["done", "closed", "resolved", "complete", "completed", "cancelled", "canceled", "won't do"];
+const BLOCKED_STATUSES = ["blocked", "on hold", "impeded"];
+const IN_PROGRESS_STATUSES = ["in progress", "in review", "in development", "in testing", "started"];
+
+// Styling for done bars
+const DONE_BAR_COLOR = "#EFEFEF"; // Very light grey
+const DONE_TEXT_COLOR = "#999999"; // Dark grey
+
+// Border of overdue bars and of the today marker
+const OVERDUE_BORDER_COLOR = "#CC0000"; // Red
+const TODAY_MARKER_COLOR = "#FF0000"; // Bright red
+
+// Bar label prefix for blocked projects
+const BLOCKED_ICON = "▨";
+
+/**
+ * Sorts a status value into one of the categories.
+ * @param {*} status The Status cell value.
+ * @returns {string} "done", "blocked", "inProgress", or "" for no or an unknown status.
+ */
+function getStatusCategory(status) {
+  const normalized = String(status || "").trim().toLowerCase();
+  if (DONE_STATUSES.indexOf(normalized) !== -1) {
+    return "done";
+  }
+  if (BLOCKED_STATUSES.indexOf(normalized) !== -1) {
+    return "blocked";
+  }
+  if (IN_PROGRESS_STATUSES.indexOf(normalized) !== -1) {
+    return "inProgress";
+  }
+  return "";
+}
+
+/**
+ * Tells whether a project should have finished by now.
+ * @param {*} status The Status cell value.
+ * @param {Date} endDate The end date, at UTC midnight.
+ * @returns {boolean} True if the end date is before today and the status is not done.
+ */
+function isOverdue(status, endDate) {
+  return endDate < getToday() && getStatusCategory(status) !== "done";
+}
+
+/**
+ * Adds the status styling to a bar description.
+ * @param {{text: string, linkUrl: ?string, color: string, note: ?string}} bar The bar as drawn without a status.
+ * @param {{status: string, isOverdue: boolean}} item The assignment, as returned by readTimelineAssignments().
+ * @returns {Object} A new bar with the format and border for the status, or the same bar if there is nothing to show.
+ */
+function styleBarByStatus(bar, item) {
+  const category = getStatusCategory(item.status);
+  if (!category && !item.isOverdue) {
+    return bar;
+  }
+
+  const styled = Object.assign({}, bar, { format: {} });
+  const noteLines = bar.note ? [bar.note] : [];
+  if (item.status) {
+    noteLines.push(`Status: ${item.status}`);
+  }
+
+  if (category === "done") {
+    styled.color = DONE_BAR_COLOR;
+    styled.format = { fontColor: DONE_TEXT_COLOR, fontLine: "line-through" };
+  } else if (category === "inProgress") {
+    styled.format = { fontWeight: "bold" };
+  } else if (category === "blocked") {
+    styled.text = `${BLOCKED_ICON} ${bar.text}`;
+  }
+
+  if (item.isOverdue) {
+    noteLines.push("Overdue: the end date has passed.");
+    styled.border = { color: OVERDUE_BORDER_COLOR, style: category === "blocked" ? "DASHED" : "SOLID_THICK", edges: "all" };
+  } else if (category === "blocked") {
+    styled.border = { color: "#000000", style: "DASHED", edges: "all" };
+  }
+
+  styled.note = noteLines.join("\n");
+  return styled;
+}
+
+/**
+ * Lists the columns bars must be split at so the marker edges are not hidden inside merged cells.
+ * @param {Object} buffer The render buffer, with the today column set by layoutTimelineHeaders() and the deadline
+ *     columns set by drawDeadlineRow().
+ * @returns {Array<number>} The today column, if it is in the chart, and the deadline columns.
+ */
+function getMarkerColumns(buffer) {
+  return (buffer.todayColumn === undefined ? [] : [buffer.todayColumn]).concat(buffer.deadlineColumns || []);
+}
+
+/**
+ * Splits bar pieces where they cross a marker column, so the marker's left edge is not hidden inside a merged cell.
+ * @param {Array<{startCol: number, endCol: number}>} pieces The pieces of a bar, in column order.
+ * @param {Array<number>} markerColumns The marker columns, see getMarkerColumns().
+ * @returns {Array<{startCol: number, endCol: number}>} The pieces, with those crossing a marker split there.
+ */
+function splitAtMarkerColumns(pieces, markerColumns) {
+  return markerColumns.reduce((splitPieces, markerColumn) => splitPieces.reduce((split, piece) => {
+    if (piece.startCol < markerColumn && piece.endCol >= markerColumn) {
+      return split.concat([{ startCol: piece.startCol, endCol: markerColumn - 1 }, { startCol: markerColumn, endCol: piece.endCol }]);
+    }
+    return split.concat([piece]);
+  }, []), pieces);
+}
+
+/**
+ * Draws the today marker, a red left edge on the column holding today, from the headers to the last chart row.
+ * Does nothing if today is outside the chart.
+ * @param {Object} buffer The render buffer, with the today column set by layoutTimelineHeaders().
+ */
+function drawTodayMarker(buffer) {
+  if (buffer.todayColumn === undefined) {
+    return;
+  }
+  borderBufferRange(buffer, 1, buffer.todayColumn, buffer.numRows, 1, { color: TODAY_MARKER_COLOR, style: "SOLID_THICK", edges: "left" });
+}
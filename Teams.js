@@ -0,0 +1,135 @@
+/**
+ * Team swimlanes for the people timeline.
+ * A person's team comes from the optional "Team" column in the source sheet (the first non-blank value on their rows)
+ * or, failing that, from the People sheet, which maps each Person to a Team or, without a Team column, a Manager.
+ * When any team is known the people timeline draws one section per team, headed by a team row, with the section's
+ * rows in a Sheets row group so the team can be collapsed. Optionally each team also gets its own timeline tab.
+ */
+
+// Header of the optional team column, in the source sheet and in the People sheet
+const TEAM_HEADER = "Team";
+
+// Header of the optional manager column in the People sheet, used as the team when there is no Team column
+const MANAGER_HEADER = "Manager";
+
+// Section for people without a team, drawn after the named teams
+const NO_TEAM_LABEL = "No team";
+
+// Fill for the team header rows
+const TEAM_HEADER_COLOR = "#B7B7B7"; // Medium grey
+
+/**
+ * Reads each person's team from the source sheet's Team column and the People sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the People sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {Set<number>} [skippedRows] Sheet row numbers to leave out, as returned by reportSourceIssues().
+ * @returns {?Map<string, string>} Maps each person to their team, or null if no team is known for anyone.
+ */
+function readTeamsByPerson(spreadsheet, sourceSheet, skippedRows) {
+  const teamsByPerson = new Map();
+
+  const sourceData = sourceSheet.getDataRange().getValues();
+  const sourceHeaderRow = sourceData[0] || [];
+  const sourcePersonCol = sourceHeaderRow.indexOf("Person");
+  const sourceTeamCol = sourceHeaderRow.indexOf(TEAM_HEADER);
+  if (sourcePersonCol !== -1 && sourceTeamCol !== -1) {
+    sourceData.slice(1).forEach((row, index) => {
+      const person = String(row[sourcePersonCol]).trim();
+      const team = String(row[sourceTeamCol]).trim();
+      if (person && team && !teamsByPerson.has(person) && !(skippedRows && skippedRows.has(index + 2))) {
+        teamsByPerson.set(person, team);
+      }
+    });
+  }
+
+  const peopleSheet = spreadsheet.getSheetByName(PEOPLE_SHEET_NAME);
+  if (peopleSheet) {
+    const peopleData = peopleSheet.getDataRange().getValues();
+    const peopleHeaderRow = peopleData[0] || [];
+    const personCol = peopleHeaderRow.indexOf("Person");
+    const teamCol = peopleHeaderRow.indexOf(TEAM_HEADER) !== -1 ? peopleHeaderRow.indexOf(TEAM_HEADER) : peopleHeaderRow.indexOf(MANAGER_HEADER);
+    if (personCol !== -1 && teamCol !== -1) {
+      peopleData.slice(1).forEach(row => {
+        const person = String(row[personCol]).trim();
+        const team = String(row[teamCol]).trim();
+        if (person && team && !teamsByPerson.has(person)) {
+          teamsByPerson.set(person, team);
+        }
+      });
+    }
+  }
+
+  return teamsByPerson.size > 0 ? teamsByPerson : null;
+}
+
+/**
+ * Groups people into team sections.
+ * @param {Array<string>} people The people to group.
+ * @param {Map<string, string>} teamsByPerson The teams returned by readTeamsByPerson().
+ * @returns {Array<{team: string, people: Array<string>}>} The sections, sorted by team with NO_TEAM_LABEL last,
+ *     each with its people sorted by name.
+ */
+function groupPeopleByTeam(people, teamsByPerson) {
+  const peopleByTeam = new Map();
+  people.forEach(person => {
+    const team = teamsByPerson.get(person) || NO_TEAM_LABEL;
+    if (!peopleByTeam.has(team)) {
+      peopleByTeam.set(team, []);
+    }
+    peopleByTeam.get(team).push(person);
+  });
+
+  return Array.from(peopleByTeam.keys())
+    .sort((a, b) => (a === NO_TEAM_LABEL) - (b === NO_TEAM_LABEL) || a.localeCompare(b))
+    .map(team => ({ team: team, people: peopleByTeam.get(team).sort() }));
+}
+
+/**
+ * Draws a team's header row across the whole chart.
+ * @param {Object} buffer The render buffer.
+ * @param {number} row The row to draw on.
+ * @param {{team: string, people: Array<string>}} section The team section, see groupPeopleByTeam().
+ * @param {number} totalHeaderColumns The total number of columns in the chart.
+ */
+function drawTeamHeaderRow(buffer, row, section, totalHeaderColumns) {
+  setBufferValue(buffer, row, 1, `${section.team} (${section.people.length})`);
+  formatBufferRange(buffer, row, 1, 1, totalHeaderColumns, {
+    background: TEAM_HEADER_COLOR,
+    fontWeight: "bold",
+    verticalAlignment: "middle"
+  });
+}
+
+/**
+ * Turns each team's rows into a collapsible row group, with the toggle on the team header row, and makes the
+ * header rows shorter than the chart rows. Must run after the chart is written.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The chart sheet.
+ * @param {Array<{headerRow: number, firstRow: number, lastRow: number}>} teamRows The header row and the first and last person row of each team.
+ */
+function groupTeamRows(sheet, teamRows) {
+  if (teamRows.length === 0) {
+    return;
+  }
+  sheet.setRowGroupControlPosition(SpreadsheetApp.GroupControlTogglePosition.BEFORE);
+  teamRows.forEach(rows => {
+    sheet.setRowHeight(rows.headerRow, 25);
+    if (rows.lastRow >= rows.firstRow) {
+      sheet.getRange(rows.firstRow, 1, rows.lastRow - rows.firstRow + 1, 1).shiftRowGroupDepth(1);
+    }
+  });
+}
+
+/**
+ * Removes the team row groups left by a previous run, which clearing the sheet does not.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet being regenerated.
+ */
+function clearRowGroups(sheet) {
+  if (sheet.getMaxRows() === 0) {
+    return;
+  }
+  try {
+    sheet.getRange(1, 1, sheet.getMaxRows(), 1).shiftRowGroupDepth(-1); // Team groups are one level deep
+  } catch (err) {
+    // The sheet has no row groups
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Per-term roll-up for term planning and retros.
+ * The "Term Summary" sheet has one section per term (the same terms as the timeline headers, see Terms.js) that has
+ * planned work or milestones, listing for each person the projects overlapping the term, linked to JIRA, with the
+ * working days committed to each, and the person's idle working days. A working day is one outside the weekend, the
+ * holidays and the person's PTO (see Holidays.js); a project's days are weighted by its allocation, so ten days at
+ * 50% count as five. Idle days are working days in the term with nothing assigned at all. The term's row lists the
+ * milestones falling in it. The term picker in the top row hides every other term's rows (see onEdit() in Triggers.js).
+ */
+
+// Sheet the summary is written to
+const TERM_SUMMARY_SHEET_NAME = "Term Summary";
+
+// Picker entry showing every term
+const ALL_TERMS_OPTION = "All terms";
+
+// Cell holding the term picker, and the first row of the summary below it
+const TERM_PICKER_ROW = 1;
+const TERM_PICKER_COLUMN = 2;
+const TERM_SUMMARY_FIRST_ROW = 3;
+
+// Fill for the term picker
+const TERM_PICKER_COLOR = "#FFF2CC"; // Light yellow
+
+// Column headers of the summary; the term name is repeated on every row, which the picker relies on
+const TERM_SUMMARY_HEADERS = ["Term", "Person", "Project", "Summary", "Working days", "Idle working days", "Milestones"];
+
+/**
+ * Rolls the plan up by term and person, without touching the spreadsheet.
+ * @param {Object} chartData The data returned by readPeopleTimelineData().
+ * @returns {Array<{term: Object, milestones: Array<Object>, people: Array<{person: string, idleDays: number, projects: Array<{key: string, summary: string, days: number}>}>}>}
+ *     One section per term with planned work or milestones, in date order. Every person with planned work in any of
+ *     these terms is listed in each of them, so a term they have nothing in shows as idle.
+ */
+function computeTermSummary(chartData) {
+  const assignments = chartData.assignments;
+  const calendar = chartData.calendar;
+  const overlapsTerm = (item, term) => item.startDate <= term.endDate && item.endDate >= term.startDate;
+
+  const terms = chartData.terms.filter(term =>
+    assignments.some(assignment => overlapsTerm(assignment, term)) || chartData.milestoneData.some(milestone => overlapsTerm(milestone, term)));
+  const people = Array.from(new Set(assignments.filter(assignment => terms.some(term => overlapsTerm(assignment, term)))
+    .map(assignment => assignment.person))).sort();
+
+  return terms.slice().sort((a, b) => a.startDate - b.startDate).map(term => {
+    const termDateKeys = getDailyDateKeys(term.startDate, term.endDate);
+    return {
+      term: term,
+      milestones: chartData.milestoneData.filter(milestone => overlapsTerm(milestone, term))
+        .sort((a, b) => a.startDate - b.startDate),
+      people: people.map(person => {
+        const personAssignments = assignments.filter(assignment => assignment.person === person && overlapsTerm(assignment, term));
+        const workingDateKeys = termDateKeys.filter(dateIso => calendar.isWorkingDay(dateIso, person));
+
+        // Rows for the same project, e.g. two stints, are added up
+        const projectsById = new Map();
+        personAssignments.forEach(assignment => {
+          const projectId = assignment.key || assignment.summary;
+          if (!projectsById.has(projectId)) {
+            projectsById.set(projectId, { key: assignment.key, summary: assignment.summary, days: 0 });
+          }
+          const firstDateIso = toDateKey(assignment.startDate);
+          const lastDateIso = toDateKey(assignment.endDate);
+          const days = workingDateKeys.filter(dateIso => dateIso >= firstDateIso && dateIso <= lastDateIso).length;
+          projectsById.get(projectId).days += days * assignment.allocation / FULL_ALLOCATION;
+        });
+        projectsById.forEach(project => {
+          project.days = Math.round(project.days * 10) / 10;
+        });
+
+        return {
+          person: person,
+          idleDays: workingDateKeys.filter(dateIso => getDailyAllocation(personAssignments, dateIso) === 0).length,
+          projects: Array.from(projectsById.values()).sort((a, b) => b.days - a.days)
+        };
+      })
+    };
+  });
+}
+
+/**
+ * Formats a milestone for the term row: its name and its day, or its first and last day.
+ * @param {{name: string, startDate: Date, endDate: Date}} milestone The milestone, as returned by getMilestoneData().
+ * @returns {string} E.g. "GA (10/15)" or "Beta (09/01-09/12)".
+ */
+function formatTermMilestone(milestone) {
+  const dates = milestone.startDate.getTime() === milestone.endDate.getTime() ? formatUTCMMDD(milestone.endDate)
+    : `${formatUTCMMDD(milestone.startDate)}-${formatUTCMMDD(milestone.endDate)}`;
+  return `${milestone.name} (${dates})`;
+}
+
+/**
+ * Draws the term summary into a render buffer (see Render.js), under the term picker.
+ * @param {Array<Object>} sections The sections returned by computeTermSummary().
+ * @param {string} selectedTermName The term shown in the picker, or ALL_TERMS_OPTION.
+ * @returns {Object} The render buffer.
+ */
+function drawTermSummary(sections, selectedTermName) {
+  const numColumns = TERM_SUMMARY_HEADERS.length;
+  const buffer = createRenderBuffer(numColumns);
+
+  setBufferValue(buffer, TERM_PICKER_ROW, TERM_PICKER_COLUMN - 1, "Show");
+  setBufferValue(buffer, TERM_PICKER_ROW, TERM_PICKER_COLUMN, selectedTermName);
+  formatBufferRange(buffer, TERM_PICKER_ROW, 1, 1, TERM_PICKER_COLUMN, { fontWeight: "bold", verticalAlignment: "middle" });
+  formatBufferRange(buffer, TERM_PICKER_ROW, TERM_PICKER_COLUMN, 1, 1, { background: TERM_PICKER_COLOR });
+  setBufferNote(buffer, TERM_PICKER_ROW, TERM_PICKER_COLUMN, "Pick a term to hide the others.");
+
+  TERM_SUMMARY_HEADERS.forEach((header, index) => setBufferValue(buffer, TERM_SUMMARY_FIRST_ROW - 1, index + 1, header));
+  formatBufferRange(buffer, TERM_SUMMARY_FIRST_ROW - 1, 1, 1, numColumns, { fontWeight: "bold", background: "#D3D3D3" });
+
+  let currentRow = TERM_SUMMARY_FIRST_ROW;
+  sections.forEach(section => {
+    const term = section.term;
+
+    // --- Term row: dates, totals and milestones ---
+    setBufferValue(buffer, currentRow, 1, term.name);
+    setBufferValue(buffer, currentRow, 4, `${formatUTCMMDD(term.startDate)} - ${formatUTCMMDD(term.endDate)}`);
+    setBufferValue(buffer, currentRow, 5, Math.round(section.people.reduce((total, entry) =>
+      total + entry.projects.reduce((sum, project) => sum + project.days, 0), 0) * 10) / 10);
+    setBufferValue(buffer, currentRow, 6, section.people.reduce((total, entry) => total + entry.idleDays, 0));
+    setBufferValue(buffer, currentRow, 7, section.milestones.map(formatTermMilestone).join("\n"));
+    formatBufferRange(buffer, currentRow, 1, 1, numColumns, {
+      background: term.color || "#D3D3D3",
+      fontColor: term.color ? getContrastTextColor(term.color) : "#000000",
+      fontWeight: "bold",
+      verticalAlignment: "top",
+      wrap: true
+    });
+    currentRow++;
+
+    // --- One row per project, the person's idle days on their first row ---
+    section.people.forEach(entry => {
+      const projects = entry.projects.length > 0 ? entry.projects : [null];
+      projects.forEach((project, index) => {
+        setBufferValue(buffer, currentRow, 1, term.name);
+        setBufferValue(buffer, currentRow, 2, entry.person);
+        if (project) {
+          setBufferValue(buffer, currentRow, 3, project.key || "", project.key ? JIRA_BASE_URL + project.key : null);
+          setBufferValue(buffer, currentRow, 4, project.summary || "");
+          setBufferValue(buffer, currentRow, 5, project.days);
+        } else {
+          setBufferValue(buffer, currentRow, 4, "Nothing planned");
+          formatBufferRange(buffer, currentRow, 4, 1, 1, { fontColor: DONE_TEXT_COLOR });
+        }
+        if (index === 0) {
+          setBufferValue(buffer, currentRow, 6, entry.idleDays);
+        }
+        formatBufferRange(buffer, currentRow, 1, 1, 1, { fontColor: DONE_TEXT_COLOR }); // The term name is only there for the picker
+        currentRow++;
+      });
+    });
+  });
+
+  return buffer;
+}
+
+/**
+ * Shows only the rows of one term, or every row.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Term Summary sheet.
+ * @param {string} termName The term to show, or ALL_TERMS_OPTION.
+ */
+function focusTermSummary(sheet, termName) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < TERM_SUMMARY_FIRST_ROW) {
+    return;
+  }
+  const numRows = lastRow - TERM_SUMMARY_FIRST_ROW + 1;
+  sheet.showRows(TERM_SUMMARY_FIRST_ROW, numRows);
+  if (!termName || termName === ALL_TERMS_OPTION) {
+    return;
+  }
+
+  // Hide each run of rows belonging to another term
+  const rowTerms = sheet.getRange(TERM_SUMMARY_FIRST_ROW, 1, numRows, 1).getValues().map(row => String(row[0]));
+  let runStart = null;
+  for (let i = 0; i <= rowTerms.length; i++) {
+    const isHidden = i < rowTerms.length && rowTerms[i] !== termName;
+    if (isHidden && runStart === null) {
+      runStart = i;
+    } else if (!isHidden && runStart !== null) {
+      sheet.hideRows(TERM_SUMMARY_FIRST_ROW + runStart, i - runStart);
+      runStart = null;
+    }
+  }
+}
+
+/**
+ * Handles an edit of the term picker. Called by the onEdit() simple trigger.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event.
+ * @returns {boolean} True if the edit was to the term picker.
+ */
+function handleTermPickerEdit(e) {
+  const sheet = e.range.getSheet();
+  if (sheet.getName() !== TERM_SUMMARY_SHEET_NAME || e.range.getRow() !== TERM_PICKER_ROW || e.range.getColumn() !== TERM_PICKER_COLUMN) {
+    return false;
+  }
+  focusTermSummary(sheet, String(e.range.getValue()));
+  return true;
+}
+
+/**
+ * Builds the Term Summary sheet from the source sheet. The term picked before is kept if it is still in the summary.
+ * @param {string} sourceSheetName The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {Object} [options] Optional settings, see normalizeTimelineOptions() in Code.js. The date window is ignored.
+ * @returns {boolean} True if the summary was generated.
+ */
+function updateTermSummary(sourceSheetName, options) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  // Whole terms are summarized, whatever date window the timelines show
+  const timelineOptions = normalizeTimelineOptions(Object.assign({}, options, { windowStart: null, windowEnd: null, windowTerm: null }));
+  timelineOptions.includePeople = true;
+
+  const sourceSheet = spreadsheet.getSheetByName(sourceSheetName);
+  if (!sourceSheet) {
+    Logger.log(`Error: Source sheet '${sourceSheetName}' not found.`);
+    showMessage("Error", `Source sheet '${sourceSheetName}' not found.`);
+    return false;
+  }
+
+  const chartData = readPeopleTimelineData(spreadsheet, sourceSheet, timelineOptions, true);
+  if (!chartData) {
+    return false;
+  }
+
+  const sections = computeTermSummary(chartData);
+  if (sections.length === 0) {
+    Logger.log("No planned work or milestones fall in any term.");
+    showMessage("Info", "No planned work or milestones fall in any term, so there is nothing to summarize.");
+    return false;
+  }
+
+  const termNames = sections.map(section => section.term.name);
+  const existingSheet = spreadsheet.getSheetByName(TERM_SUMMARY_SHEET_NAME);
+  const previousTermName = existingSheet ? String(existingSheet.getRange(TERM_PICKER_ROW, TERM_PICKER_COLUMN).getValue()) : "";
+  const selectedTermName = termNames.indexOf(previousTermName) !== -1 ? previousTermName : ALL_TERMS_OPTION;
+
+  const summarySheet = prepareGanttSheet(spreadsheet, TERM_SUMMARY_SHEET_NAME);
+  summarySheet.showRows(1, summarySheet.getMaxRows()); // Rows hidden by the picker stay hidden through clearing
+  flushRenderBuffer(summarySheet, drawTermSummary(sections, selectedTermName));
+  summarySheet.getRange(TERM_PICKER_ROW, TERM_PICKER_COLUMN).setDataValidation(SpreadsheetApp.newDataValidation()
+    .requireValueInList([ALL_TERMS_OPTION].concat(termNames), true)
+    .setAllowInvalid(false)
+    .build());
+  summarySheet.setFrozenRows(TERM_SUMMARY_FIRST_ROW - 1);
+  summarySheet.autoResizeColumns(1, 3);
+  summarySheet.setColumnWidth(4, 300);
+  summarySheet.setColumnWidths(5, 2, 110);
+  summarySheet.setColumnWidth(7, 250);
+  focusTermSummary(summarySheet, selectedTermName);
+
+  return true;
+}
+
+/**
+ * Menu handler that builds the Term Summary sheet with the source sheet and options last saved for this document.
+ */
+function generateTermSummaryWithSavedSettings() {
+  const settings = getTimelineSettings();
+  let options;
+  try {
+    options = buildTimelineOptions(settings);
+  } catch (err) {
+    showMessage("Error", `The saved settings are invalid: ${err.message} Please open the sidebar to fix them.`);
+    return;
+  }
+  const generate = () => mergeSourceSheets(settings.sourceSheetName) && updateTermSummary(settings.sourceSheetName, options);
+  if (withTimelineLock(settings, generate)) {
+    SpreadsheetApp.getActiveSpreadsheet().toast(`Term summary generated in '${TERM_SUMMARY_SHEET_NAME}'.`, "Team Planning");
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Term configuration for the timeline headers.
+ * Terms are read from a "Terms" sheet in the active spreadsheet with columns: Name, Start Date, End Date, Color.
+ * The built-in TERMS_DATA list is only used when that sheet does not exist.
+ */
+
+// Name of the sheet holding the term definitions
+const TERMS_SHEET_NAME = "Terms";
+
+// Color used for terms whose Color cell is left blank
+const DEFAULT_TERM_COLOR = "#999999";
+
+/**
+ * Reads term rows from the Terms sheet.
+ * Rows with a blank Name are ignored; rows with unusable dates or colors are reported as errors.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Terms sheet.
+ * @returns {{terms: Array<Object>, errors: Array<string>}} The parsed terms and any row-level errors.
+ */
+function readTermsSheet(sheet) {
+  const terms = [];
+  const errors = [];
+  const allData = sheet.getDataRange().getValues();
+
+  if (allData.length < 2) {
+    errors.push(`The '${sheet.getName()}' sheet has no terms (excluding header).`);
+    return { terms: terms, errors: errors };
+  }
+
+  const headerRow = allData[0];
+  const nameCol = headerRow.indexOf("Name");
+  const startCol = headerRow.indexOf("Start Date");
+  const endCol = headerRow.indexOf("End Date");
+  const colorCol = headerRow.indexOf("Color");
+
+  if (nameCol === -1 || startCol === -1 || endCol === -1) {
+    errors.push(`Missing one or more required columns (Name, Start Date, End Date) in the '${sheet.getName()}' sheet.`);
+    return { terms: terms, errors: errors };
+  }
+
+  allData.slice(1).forEach((row, index) => {
+    const rowNumber = index + 2; // +1 for the header row, +1 for 1-based sheet rows
+    const name = String(row[nameCol]).trim();
+    if (!name) {
+      return;
+    }
+
+    const startDate = parseSheetDate(row[startCol]);
+    const endDate = parseSheetDate(row[endCol]);
+    const color = colorCol === -1 ? "" : String(row[colorCol]).trim();
+
+    if (!startDate) {
+      errors.push(`Row ${rowNumber} ('${name}'): Start Date '${row[startCol]}' is not a valid date.`);
+    }
+    if (!endDate) {
+      errors.push(`Row ${rowNumber} ('${name}'): End Date '${row[endCol]}' is not a valid date.`);
+    }
+    if (startDate && endDate && endDate < startDate) {
+      errors.push(`Row ${rowNumber} ('${name}'): End Date is before Start Date.`);
+    }
+    if (color && !/^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(color)) {
+      errors.push(`Row ${rowNumber} ('${name}'): Color '${color}' is not a hex color such as #45B7D1.`);
+    }
+
+    terms.push({
+      name: name,
+      startDate: startDate,
+      endDate: endDate,
+      color: color || DEFAULT_TERM_COLOR
+    });
+  });
+
+  if (terms.length === 0) {
+    errors.push(`The '${sheet.getName()}' sheet has no terms (excluding header).`);
+  }
+
+  return { terms: terms, errors: errors };
+}
+
+/**
+ * Checks a list of terms for duplicate names, overlapping date ranges and gaps between consecutive terms.
+ * Terms without valid dates are expected to have been reported already and are skipped.
+ * @param {Array<Object>} terms The terms to check.
+ * @returns {{errors: Array<string>, warnings: Array<string>}} Overlaps and duplicates are errors, gaps are warnings.
+ */
+function validateTerms(terms) {
+  const errors = [];
+  const warnings = [];
+  const seenNames = new Set();
+
+  terms.forEach(term => {
+    if (seenNames.has(term.name)) {
+      errors.push(`Term '${term.name}' is defined more than once.`);
+    }
+    seenNames.add(term.name);
+  });
+
+  const datedTerms = terms
+    .filter(term => term.startDate && term.endDate && term.startDate <= term.endDate)
+    .sort((a, b) => a.startDate.getTime() - b.startDate.getTime());
+
+  for (let i = 1; i < datedTerms.length; i++) {
+    const previous = datedTerms[i - 1];
+    const current = datedTerms[i];
+    if (current.startDate <= previous.endDate) {
+      errors.push(`Term '${current.name}' (starts ${toDateKey(current.startDate)}) overlaps '${previous.name}' (ends ${toDateKey(previous.endDate)}).`);
+    } else {
+      const gapDays = Math.round((current.startDate - previous.endDate) / ONE_DAY_MS) - 1;
+      if (gapDays > 0) {
+        warnings.push(`There is a ${gapDays}-day gap between '${previous.name}' (ends ${toDateKey(previous.endDate)}) and '${current.name}' (starts ${toDateKey(current.startDate)}).`);
+      }
+    }
+  }
+
+  return { errors: errors, warnings: warnings };
+}
+
+/**
+ * Loads the terms used to build the timeline headers.
+ * Uses the terms sheet when present and falls back to TERMS_DATA otherwise.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to read from.
+ * @param {?string} [termsSheetName] The sheet to read terms from. Defaults to TERMS_SHEET_NAME; pass null to always use TERMS_DATA.
+ * @returns {{terms: Array<Object>, source: string, errors: Array<string>, warnings: Array<string>}} The sorted terms, where they came from and any problems found.
+ */
+function loadTerms(spreadsheet, termsSheetName) {
+  const sheetName = termsSheetName === undefined ? TERMS_SHEET_NAME : termsSheetName;
+  const termsSheet = sheetName ? spreadsheet.getSheetByName(sheetName) : null;
+  let terms;
+  let source;
+  let errors = [];
+
+  if (termsSheet) {
+    const sheetResult = readTermsSheet(termsSheet);
+    terms = sheetResult.terms;
+    errors = sheetResult.errors;
+    source = `'${sheetName}' sheet`;
+  } else {
+    terms = TERMS_DATA.slice();
+    source = "built-in TERMS_DATA";
+  }
+
+  const validation = validateTerms(terms);
+  errors = errors.concat(validation.errors);
+
+  terms.sort((a, b) => (a.startDate ? a.startDate.getTime() : 0) - (b.startDate ? b.startDate.getTime() : 0));
+
+  return { terms: terms, source: source, errors: errors, warnings: validation.warnings };
+}
+
+/**
+ * Loads the terms for a timeline run and reports any problems to the user.
+ * Errors stop the run because the term each day belongs to would be ambiguous; gaps are only reported.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to read from.
+ * @param {?string} [termsSheetName] The sheet to read terms from, see loadTerms().
+ * @returns {Array<Object>|null} The terms to use, or null if the term data has errors.
+ */
+function getTimelineTerms(spreadsheet, termsSheetName) {
+  const result = loadTerms(spreadsheet, termsSheetName);
+
+  result.warnings.forEach(warning => Logger.log(`Warning (${result.source}): ${warning}`));
+
+  if (result.errors.length > 0) {
+    result.errors.forEach(error => Logger.log(`Error (${result.source}): ${error}`));
+    showMessage("Term errors", `Please fix the term data in the ${result.source}:\\n\\n` + result.errors.join("\\n"));
+    return null;
+  }
+
+  if (result.warnings.length > 0) {
+    spreadsheet.toast(result.warnings.join("\n"), "Term warnings", 10);
+  }
+
+  return result.terms;
+}
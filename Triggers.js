@@ -0,0 +1,150 @@
+/**
+ * Automatic regeneration and stale-chart banners.
+ * The sidebar's "Automatic regeneration" setting installs a time-driven trigger (nightly or weekly, at a chosen hour)
+ * that regenerates the configured timelines with the saved settings. Installable triggers belong to the user who
+ * saved the setting, so it should be set by one owner of the spreadsheet.
+ * Editing the source sheet (or a tab it is merged from, see Sources.js) by hand, or syncing it from JIRA, marks every
+ * generated timeline as stale with a banner in
+ * its top-left cell until it is regenerated. Regenerations take a document lock, so a scheduled run and a manual
+ * one never write to the same sheets at the same time.
+ */
+
+// Document property holding when the source sheet was last edited, in milliseconds since the epoch
+const SOURCE_EDITED_PROPERTY = "sourceEditedAt";
+
+// Function run by the scheduled trigger
+const SCHEDULED_REGENERATION_HANDLER = "regenerateTimelinesOnSchedule";
+
+// How long a regeneration waits for another one to finish before giving up
+const TIMELINE_LOCK_TIMEOUT_MS = 30 * 1000;
+
+// Fill for the stale banner
+const STALE_BANNER_COLOR = "#F4CCCC"; // Light red
+
+/**
+ * Runs a regeneration while holding the document lock, then puts the stale banners back if the source sheet was
+ * edited while it ran.
+ * @param {Object} settings The timeline settings, see DEFAULT_TIMELINE_SETTINGS.
+ * @param {function(): *} generate Generates the timelines.
+ * @returns {*} What generate returned.
+ */
+function withTimelineLock(settings, generate) {
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(TIMELINE_LOCK_TIMEOUT_MS)) {
+    throw new Error("The timelines are being regenerated by someone else. Please try again in a minute.");
+  }
+  const startedAt = Date.now();
+  try {
+    return generate();
+  } finally {
+    if (getSourceEditedAt() >= startedAt) {
+      markTimelinesStale(SpreadsheetApp.getActiveSpreadsheet(), settings);
+    }
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Reads when the source sheet was last edited.
+ * @returns {number} The time in milliseconds since the epoch, or 0 if no edit was recorded.
+ */
+function getSourceEditedAt() {
+  return Number(PropertiesService.getDocumentProperties().getProperty(SOURCE_EDITED_PROPERTY)) || 0;
+}
+
+/**
+ * Records an edit of the source sheet and marks the timelines generated from it as stale.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the timelines.
+ * @param {Object} settings The timeline settings, see DEFAULT_TIMELINE_SETTINGS.
+ */
+function recordSourceEdit(spreadsheet, settings) {
+  PropertiesService.getDocumentProperties().setProperty(SOURCE_EDITED_PROPERTY, String(Date.now()));
+  markTimelinesStale(spreadsheet, settings);
+}
+
+/**
+ * Writes the stale banner into the top-left cell of each timeline and report selected in the settings.
+ * Regenerating a sheet clears its banner.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the timelines.
+ * @param {Object} settings The timeline settings, see DEFAULT_TIMELINE_SETTINGS.
+ */
+function markTimelinesStale(spreadsheet, settings) {
+  const editedAt = Utilities.formatDate(new Date(getSourceEditedAt()), Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm");
+  TIMELINE_OUTPUTS.forEach(output => {
+    const sheet = settings[output.flag] ? spreadsheet.getSheetByName(settings[output.destinationKey]) : null;
+    if (!sheet) {
+      return;
+    }
+    sheet.getRange(1, 1)
+      .setValue("⚠ Out of date")
+      .setBackground(STALE_BANNER_COLOR)
+      .setFontWeight("bold")
+      .setWrap(true)
+      .setNote(`The planning data in '${settings.sourceSheetName}' was edited on ${editedAt}, after this sheet was generated. Use Team Planning > Regenerate with last settings to update it.`);
+  });
+}
+
+/**
+ * Simple trigger: marks the timelines as stale when the source sheet, or a tab it is merged from, is edited by hand,
+ * and applies the Term Summary's term picker (see TermSummary.js).
+ * Edits made by the script itself do not fire it.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event.
+ */
+function onEdit(e) {
+  if (!e || handleTermPickerEdit(e)) {
+    return;
+  }
+  const editedSheetName = e.range.getSheet().getName();
+  // Generated sheets are never merged from (see validateTimelineSheetNames()), so they are ruled out by name before
+  // the Sources sheet is read
+  if (getReportSheetNames().indexOf(editedSheetName) !== -1) {
+    return;
+  }
+  const settings = getTimelineSettings();
+  const isGenerated = TIMELINE_OUTPUTS.some(output => settings[output.flag] && (editedSheetName === settings[output.destinationKey] ||
+    editedSheetName.indexOf(`${settings[output.destinationKey]} - `) === 0)); // Team tabs
+  if (isGenerated) {
+    return;
+  }
+  if (editedSheetName !== settings.sourceSheetName && getLocalSourceSheetNames(e.source).indexOf(editedSheetName) === -1) {
+    return;
+  }
+  recordSourceEdit(e.source, settings);
+}
+
+/**
+ * Replaces the scheduled regeneration trigger to match the settings.
+ * @param {Object} settings The timeline settings, see DEFAULT_TIMELINE_SETTINGS.
+ */
+function applyRegenerationSchedule(settings) {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === SCHEDULED_REGENERATION_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  if (settings.schedule === "off") {
+    return;
+  }
+  const builder = ScriptApp.newTrigger(SCHEDULED_REGENERATION_HANDLER).timeBased().atHour(Number(settings.scheduleHour));
+  if (settings.schedule === "weekly") {
+    builder.everyWeeks(1).onWeekDay(ScriptApp.WeekDay.MONDAY);
+  } else {
+    builder.everyDays(1);
+  }
+  builder.create();
+}
+
+/**
+ * Time-driven trigger handler: regenerates the timelines with the saved settings.
+ * There is no one to show a dialog to: showMessage() writes the messages to the execution log instead, so a problem
+ * with one timeline is logged and the others are still generated.
+ */
+function regenerateTimelinesOnSchedule() {
+  const settings = getTimelineSettings();
+  try {
+    validateTimelineSheetNames(settings);
+    const generated = generateSelectedTimelines(settings, buildTimelineOptions(settings));
+    Logger.log(`Scheduled regeneration updated ${generated.map(name => `'${name}'`).join(", ") || "no sheets"}.`);
+  } catch (err) {
+    Logger.log(`Error: Scheduled regeneration failed: ${err.message}`);
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * Validation pass over the source sheet.
+ * Every problem found in the Combined sheet is collected and written to the "Issues" sheet, one row per problem,
+ * with the source row number linked back to the offending cell. Rows with problems that make them impossible to draw
+ * (unusable dates, no person, duplicates) are skipped by the timelines; everything else is drawn and only reported.
+ * When the source sheet is merged from other tabs (see Sources.js), each problem also names the tab and row it came from.
+ */
+
+// Name of the sheet the validation issues are written to
+const ISSUES_SHEET_NAME = "Issues";
+
+// Optional sheet listing the known people in a "Person" column; without it people are not checked
+const PEOPLE_SHEET_NAME = "People";
+
+/**
+ * Reads the known people from the People sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to read from.
+ * @returns {?Set<string>} The known people, or null if there is no usable People sheet.
+ */
+function readKnownPeople(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(PEOPLE_SHEET_NAME);
+  if (!sheet) {
+    return null;
+  }
+  const allData = sheet.getDataRange().getValues();
+  const personCol = allData.length > 0 ? allData[0].indexOf("Person") : -1;
+  if (personCol === -1) {
+    Logger.log(`Warning: The '${PEOPLE_SHEET_NAME}' sheet has no 'Person' column. People are not checked.`);
+    return null;
+  }
+  return new Set(allData.slice(1).map(row => String(row[personCol]).trim()).filter(person => person));
+}
+
+/**
+ * Checks every row of the source sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the People sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {Array<Object>} terms The terms returned by getTimelineTerms(), used to flag dates outside all terms.
+ * @returns {{issues: Array<{row: number, column: number, person: string, project: string, source: string, sourceRow: string, message: string, skipped: boolean}>, skippedRows: Set<number>}|null}
+ *     The problems found, in row order, and the sheet row numbers the timelines must skip, or null if the sheet lacks
+ *     the required columns (readTimelineAssignments() reports that).
+ */
+function validateSourceSheet(spreadsheet, sourceSheet, terms) {
+  const issues = [];
+  const skippedRows = new Set();
+  const allData = sourceSheet.getDataRange().getValues();
+  if (allData.length < 2) {
+    return { issues: issues, skippedRows: skippedRows };
+  }
+
+  const headerRow = allData[0];
+  const personCol = headerRow.indexOf("Person");
+  const projectCol = headerRow.indexOf("Project");
+  const startCol = headerRow.indexOf("Start Date");
+  const endCol = headerRow.indexOf("End Date");
+  const summaryCol = headerRow.indexOf("Summary");
+  const allocationCol = findAllocationColumn(headerRow);
+  const dependsOnCol = headerRow.indexOf(DEPENDS_ON_HEADER);
+  const typeCol = headerRow.indexOf(MILESTONE_TYPE_HEADER);
+  const effortCol = findEffortColumn(headerRow);
+  const sourceCol = headerRow.indexOf(SOURCE_HEADER); // Only in merged source sheets
+  const sourceRowCol = headerRow.indexOf(SOURCE_ROW_HEADER);
+  if (personCol === -1 || projectCol === -1 || startCol === -1 || endCol === -1) {
+    return null;
+  }
+
+  const knownPeople = readKnownPeople(spreadsheet);
+  const projectKeys = new Set(allData.slice(1).map(row => String(row[projectCol]).trim()).filter(key => key));
+  const firstRowByContent = new Map();
+
+  allData.slice(1).forEach((row, index) => {
+    const sheetRow = index + 2;
+    if (row.every(value => value === "")) {
+      return;
+    }
+
+    const person = String(row[personCol]).trim();
+    const project = String(row[projectCol]).trim();
+    const isMilestone = row[personCol] === "Milestone";
+    const source = sourceCol === -1 ? "" : String(row[sourceCol]);
+    const sourceRow = sourceRowCol === -1 ? "" : String(row[sourceRowCol]);
+    const report = (col, message, skipped) => {
+      issues.push({ row: sheetRow, column: col + 1, person: person, project: project, source: source, sourceRow: sourceRow, message: message, skipped: skipped });
+      if (skipped) {
+        skippedRows.add(sheetRow);
+      }
+    };
+
+    if (!person) {
+      report(personCol, "Person is missing.", true);
+    } else if (knownPeople && !isMilestone && !knownPeople.has(person)) {
+      report(personCol, `'${person}' is not listed in the '${PEOPLE_SHEET_NAME}' sheet.`, false);
+    }
+    if (!project && !isMilestone) {
+      report(projectCol, "Project key is missing.", false);
+    }
+    if (summaryCol === -1 || String(row[summaryCol]).trim() === "") {
+      report(summaryCol === -1 ? projectCol : summaryCol, "Summary is missing.", false);
+    }
+
+    // Milestones may give just one of the dates; everything else needs both
+    const startDate = parseSheetDate(row[startCol]);
+    const endDate = parseSheetDate(row[endCol]);
+    const isEstimateOnly = effortCol !== -1 && !isMilestone && row[startCol] === "" && row[endCol] === "" && parseEffort(row[effortCol]) !== null;
+    if (isEstimateOnly) {
+      report(startCol, "No dates yet, only an effort estimate; use Team Planning > Schedule from estimates to propose them.", true);
+    }
+    [[startCol, startDate, "Start date"], [endCol, endDate, "End date"]].forEach(([col, date, label]) => {
+      if (isEstimateOnly) {
+        return;
+      }
+      if (!date && row[col] !== "") {
+        report(col, `${label} '${row[col]}' is not a date.`, true);
+      } else if (!date && (!isMilestone || (row[startCol] === "" && row[endCol] === ""))) {
+        report(col, `${label} is missing.`, true);
+      }
+    });
+    if (startDate && endDate && endDate < startDate) {
+      report(endCol, "End date is before start date.", true);
+    }
+
+    if (allocationCol !== -1 && !isMilestone && parseAllocation(row[allocationCol]) === null) {
+      report(allocationCol, `Allocation '${row[allocationCol]}' is not a percentage between 0 and 100; ${FULL_ALLOCATION}% is assumed.`, false);
+    }
+
+    if (typeCol !== -1 && isMilestone) {
+      const type = String(row[typeCol]).trim().toLowerCase();
+      if (type && type !== DEADLINE_MILESTONE_TYPE && type !== RANGE_MILESTONE_TYPE) {
+        report(typeCol, `Type '${row[typeCol]}' is not '${DEADLINE_MILESTONE_TYPE}' or '${RANGE_MILESTONE_TYPE}'; single-day milestones are drawn as deadlines, others as ranges.`, false);
+      }
+    }
+
+    if (dependsOnCol !== -1) {
+      parseDependsOn(row[dependsOnCol]).forEach(predecessorKey => {
+        if (predecessorKey === project) {
+          report(dependsOnCol, "The project depends on itself; ignored.", false);
+        } else if (!projectKeys.has(predecessorKey)) {
+          report(dependsOnCol, `Depends on '${predecessorKey}', which is not a project in this sheet.`, false);
+        }
+      });
+    }
+
+    if (terms.length > 0) {
+      [[startCol, startDate, "Start date"], [endCol, endDate, "End date"]].forEach(([col, date, label]) => {
+        if (date && !findTermForDate(date, terms)) {
+          report(col, `${label} ${toDateKey(date)} is outside all terms.`, false);
+        }
+      });
+    }
+
+    // The merge columns differ between otherwise identical rows, so they are left out of the comparison
+    const content = JSON.stringify(row.filter((value, col) => col !== sourceCol && col !== sourceRowCol)
+      .map(value => value instanceof Date ? value.getTime() : value));
+    if (firstRowByContent.has(content)) {
+      report(personCol, `Duplicate of row ${firstRowByContent.get(content)}.`, true);
+    } else {
+      firstRowByContent.set(content, sheetRow);
+    }
+  });
+
+  return { issues: issues, skippedRows: skippedRows };
+}
+
+/**
+ * Writes the validation issues to the Issues sheet, replacing its contents, and tells the user if there are any.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to write to.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet The sheet the issues were found in, for the links.
+ * @param {Array<Object>} issues The issues returned by validateSourceSheet().
+ */
+function writeIssuesSheet(spreadsheet, sourceSheet, issues) {
+  const hasSources = issues.some(issue => issue.source);
+  const headers = ["Row", "Column", "Person", "Project", "Problem", "Effect"].concat(hasSources ? [SOURCE_HEADER] : []);
+  const buffer = createRenderBuffer(headers.length);
+
+  headers.forEach((header, index) => setBufferValue(buffer, 1, index + 1, header));
+  formatBufferRange(buffer, 1, 1, 1, headers.length, { fontWeight: "bold", background: "#D3D3D3" });
+
+  if (issues.length === 0) {
+    setBufferValue(buffer, 2, 1, `No issues found in '${sourceSheet.getName()}'.`);
+  }
+
+  const sourceHeaderRow = sourceSheet.getRange(1, 1, 1, sourceSheet.getLastColumn()).getValues()[0];
+  issues.forEach((issue, index) => {
+    const row = index + 2;
+    const cellUrl = `#gid=${sourceSheet.getSheetId()}&range=${columnToLetter(issue.column)}${issue.row}`;
+    setBufferValue(buffer, row, 1, String(issue.row), cellUrl);
+    setBufferValue(buffer, row, 2, sourceHeaderRow[issue.column - 1] || columnToLetter(issue.column));
+    setBufferValue(buffer, row, 3, issue.person);
+    setBufferValue(buffer, row, 4, issue.project);
+    setBufferValue(buffer, row, 5, issue.message);
+    setBufferValue(buffer, row, 6, issue.skipped ? "Row skipped" : "Drawn anyway");
+    if (issue.skipped) {
+      formatBufferRange(buffer, row, 6, 1, 1, { background: OVER_ALLOCATED_COLOR });
+    }
+    if (issue.source) {
+      // Tabs of this spreadsheet are linked; rows merged from other spreadsheets are only named
+      const sourceTab = issue.source.indexOf(", ") === -1 ? spreadsheet.getSheetByName(issue.source) : null;
+      const sourceUrl = sourceTab && issue.sourceRow ? `#gid=${sourceTab.getSheetId()}&range=${issue.sourceRow}:${issue.sourceRow}` : null;
+      setBufferValue(buffer, row, 7, issue.sourceRow ? `${issue.source} row ${issue.sourceRow}` : issue.source, sourceUrl);
+    }
+  });
+
+  const issuesSheet = prepareGanttSheet(spreadsheet, ISSUES_SHEET_NAME);
+  flushRenderBuffer(issuesSheet, buffer);
+  issuesSheet.setFrozenRows(1);
+  issuesSheet.autoResizeColumns(1, headers.length);
+
+  if (issues.length > 0) {
+    const skippedRowCount = new Set(issues.filter(issue => issue.skipped).map(issue => issue.row)).size;
+    spreadsheet.toast(`${issues.length} problem(s) found in '${sourceSheet.getName()}', ${skippedRowCount} row(s) skipped. See the '${ISSUES_SHEET_NAME}' sheet.`, "Data issues", 10);
+  }
+}
+
+/**
+ * Validates the source sheet and writes the Issues sheet. Called by each timeline and report before drawing.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet holding the source sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet The sheet holding the Person/Project/Start Date/End Date/Summary rows.
+ * @param {Array<Object>} terms The terms returned by getTimelineTerms().
+ * @returns {Set<number>} The sheet row numbers to skip when reading the source sheet.
+ */
+function reportSourceIssues(spreadsheet, sourceSheet, terms) {
+  const validation = validateSourceSheet(spreadsheet, sourceSheet, terms);
+  if (!validation) {
+    return new Set();
+  }
+  validation.issues.forEach(issue => Logger.log(`Warning: '${sourceSheet.getName()}' row ${issue.row}${issue.source ? ` (${issue.source} row ${issue.sourceRow})` : ""}: ${issue.message}`));
+  writeIssuesSheet(spreadsheet, sourceSheet, validation.issues);
+  return validation.skippedRows;
+}
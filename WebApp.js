@@ -0,0 +1,157 @@
+/**
+ * Read-only web app view of the plan, for people without access to the spreadsheet.
+ * Deployed as a web app (Deploy > New deployment > Web app) it runs as the deploying user, so viewers need no access
+ * to the spreadsheet itself. doGet() reads the source sheet with the saved settings (source sheet, terms, work week)
+ * into the same model the people timeline is drawn from (see readPeopleTimelineData()) and serves it as an
+ * interactive Gantt chart, or as JSON with ?format=json. The timelines' date window is not applied: the whole plan is
+ * served, with every item's real dates. Both take optional person, team and term parameters; the HTML view starts
+ * with them selected and can change them, the JSON is filtered by them.
+ * The source sheet is read as it is: a merged source sheet (see Sources.js) shows the tabs as of the last run, and
+ * nothing is written to the spreadsheet.
+ * The app is open to the whole domain, so the model leaves out people's time off, and the page keeps Apps Script's
+ * default X-Frame-Options: other sites cannot frame it, so link to it rather than embedding it.
+ */
+
+// HTML template of the web app view
+const WEB_APP_TEMPLATE = "WebApp";
+
+// Title of the web app page
+const WEB_APP_TITLE = "Team Planning";
+
+/**
+ * Turns the chart data into the plain model served by the web app, with every day as a YYYY-MM-DD key.
+ * @param {Object} chartData The data returned by readPeopleTimelineData().
+ * @param {{person: string, team: string, term: string}} filters Only include this person, the people in this team and
+ *     the work overlapping this term; blank for no filter.
+ * @param {string} sourceSheetName The source sheet, for display.
+ * @returns {Object} The model: terms, holidays, milestones and people (each with their team and assignments). People's
+ *     time off is left out: the app is open to the whole domain, including people who cannot open the spreadsheet.
+ */
+function buildPlanModel(chartData, filters, sourceSheetName) {
+  const getColor = createColorPicker(chartData.colorOverrides);
+  const teamsByPerson = chartData.teamsByPerson || new Map();
+  const term = filters.term ? chartData.terms.find(candidate => candidate.name === filters.term) : null;
+  const isInFilter = item => !term || (item.startDate <= term.endDate && item.endDate >= term.startDate);
+  const isPersonShown = person => (!filters.person || person === filters.person) &&
+    (!filters.team || teamsByPerson.get(person) === filters.team);
+
+  const peopleByName = new Map();
+  chartData.assignments.filter(assignment => isPersonShown(assignment.person) && isInFilter(assignment)).forEach(assignment => {
+    if (!peopleByName.has(assignment.person)) {
+      peopleByName.set(assignment.person, {
+        name: assignment.person,
+        team: teamsByPerson.get(assignment.person) || "",
+        assignments: []
+      });
+    }
+    const isDone = getStatusCategory(assignment.status) === "done";
+    const color = isDone ? DONE_BAR_COLOR : getColor(getProjectColorKey(assignment, chartData.colorOverrides));
+    peopleByName.get(assignment.person).assignments.push({
+      key: assignment.key,
+      summary: assignment.summary,
+      url: assignment.key ? JIRA_BASE_URL + assignment.key : null,
+      startDate: toDateKey(assignment.startDate),
+      endDate: toDateKey(assignment.endDate),
+      allocation: assignment.allocation,
+      status: assignment.status,
+      isDone: isDone,
+      isOverdue: assignment.isOverdue,
+      color: color,
+      textColor: isDone ? DONE_TEXT_COLOR : getContrastTextColor(color)
+    });
+  });
+
+  return {
+    title: WEB_APP_TITLE,
+    sourceSheet: sourceSheetName,
+    generatedAt: new Date().toISOString(),
+    today: toDateKey(getToday()),
+    filters: filters,
+    teams: Array.from(new Set(Array.from(teamsByPerson.values()))).sort(),
+    terms: chartData.terms.map(item => ({
+      name: item.name,
+      startDate: toDateKey(item.startDate),
+      endDate: toDateKey(item.endDate),
+      color: item.color
+    })),
+    holidays: Array.from(chartData.calendar.holidays.entries()).sort().map(([date, name]) => ({ date: date, name: name })),
+    milestones: chartData.milestoneData.filter(isInFilter).map(milestone => ({
+      name: milestone.name,
+      type: milestone.type,
+      startDate: toDateKey(milestone.startDate),
+      endDate: toDateKey(milestone.endDate)
+    })),
+    people: Array.from(peopleByName.values()).sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * Reads the plan with the saved settings.
+ * @param {{person: string, team: string, term: string}} filters The filters, see buildPlanModel().
+ * @returns {Object} The model returned by buildPlanModel().
+ * @throws {Error} If the settings, the terms or the source sheet are unusable.
+ */
+function readPlanModel(filters) {
+  const settings = getTimelineSettings();
+  // Everyone and the whole plan are included; the viewers filter for themselves. The timelines' date window would
+  // report clipped start dates and empty past terms.
+  const timelineOptions = normalizeTimelineOptions(Object.assign(buildTimelineOptions(settings),
+    { people: [], windowStart: null, windowEnd: null, windowTerm: null }));
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sourceSheet = spreadsheet.getSheetByName(settings.sourceSheetName);
+  if (!sourceSheet) {
+    throw new Error(`Source sheet '${settings.sourceSheetName}' not found.`);
+  }
+  const chartData = readPeopleTimelineData(spreadsheet, sourceSheet, timelineOptions, false);
+  if (!chartData) {
+    // The reason was passed to showMessage(), which has no dialog to show it in here
+    throw new Error(unshownMessages.length > 0 ? unshownMessages[unshownMessages.length - 1] : "The plan could not be read.");
+  }
+  return buildPlanModel(chartData, filters, settings.sourceSheetName);
+}
+
+/**
+ * Web app entry point: serves the plan as an interactive Gantt chart, or as JSON with ?format=json.
+ * @param {GoogleAppsScript.Events.DoGet} e The request, with optional format, person, team and term parameters.
+ * @returns {GoogleAppsScript.HTML.HtmlOutput|GoogleAppsScript.Content.TextOutput} The page or the JSON.
+ */
+function doGet(e) {
+  const params = (e && e.parameter) || {};
+  const isJson = params.format === "json";
+  const filters = { person: params.person || "", team: params.team || "", term: params.term || "" };
+
+  let model;
+  try {
+    // The page filters in the browser, so it gets the whole plan
+    model = readPlanModel(isJson ? filters : { person: "", team: "", term: "" });
+  } catch (err) {
+    Logger.log(`Error: Web app request failed: ${err.message}`);
+    if (isJson) {
+      return ContentService.createTextOutput(JSON.stringify({ error: err.message })).setMimeType(ContentService.MimeType.JSON);
+    }
+    return HtmlService.createHtmlOutput(`<p>The plan is not available: ${escapeHtml(err.message)}</p>`).setTitle(WEB_APP_TITLE);
+  }
+
+  if (isJson) {
+    return ContentService.createTextOutput(JSON.stringify(model)).setMimeType(ContentService.MimeType.JSON);
+  }
+  model.filters = filters;
+  const template = HtmlService.createTemplateFromFile(WEB_APP_TEMPLATE);
+  template.planJson = JSON.stringify(model).replace(/</g, "\\u003c"); // Keeps "</script>" in a summary from ending the script
+  return template.evaluate()
+    .setTitle(WEB_APP_TITLE)
+    .addMetaTag("viewport", "width=device-width, initial-scale=1");
+}
+
+/**
+ * Escapes text for HTML.
+ * @param {*} value The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
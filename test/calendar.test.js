@@ -0,0 +1,115 @@
+/**
+ * Tests for the calendar export (CalendarExport.js), run in Node against an in-memory source sheet.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { loadProject } = require("./loadProject");
+
+const project = loadProject({
+  SpreadsheetApp: { getActiveSpreadsheet: () => ({ getSpreadsheetTimeZone: () => "UTC" }) },
+  Utilities: {
+    formatDate: date => date.toISOString().slice(0, 10), // Only used with DATE_KEY_FORMAT and UTC here
+    computeDigest: (algorithm, text) => Array.from(crypto.createHash(algorithm).update(text, "utf8").digest()).map(byte => (byte > 127 ? byte - 256 : byte)),
+    DigestAlgorithm: { MD5: "md5" },
+    Charset: { UTF_8: "utf8" }
+  }
+});
+const app = project.context;
+const DEFAULT_TIMELINE_SETTINGS = project.run("DEFAULT_TIMELINE_SETTINGS");
+
+/**
+ * Makes a sheet holding the given rows, with just what the source sheet readers use.
+ * @param {Array<Array<*>>} rows The rows, the header first.
+ * @returns {{getDataRange: function(): {getValues: function(): Array<Array<*>>}}} The sheet.
+ */
+function createSheet(rows) {
+  return { getDataRange: () => ({ getValues: () => rows }) };
+}
+
+/**
+ * Gives the day some days from today, as a date key.
+ * @param {number} days The days to add, negative for the past.
+ * @returns {string} The day as YYYY-MM-DD.
+ */
+function daysFromToday(days) {
+  return app.toDateKey(app.addDays(app.getToday(), days));
+}
+
+test("an export built with the default settings keeps the projects' real dates", () => {
+  const timelineOptions = app.buildTimelineOptions(DEFAULT_TIMELINE_SETTINGS);
+  assert.notStrictEqual(timelineOptions.windowStart, null); // The timelines show only the weeks around today
+
+  const sourceSheet = createSheet([
+    ["Person", "Project", "Start Date", "End Date", "Summary"],
+    ["Alice", "ABC-1", daysFromToday(-120), daysFromToday(60), "Running"],
+    ["Alice", "ABC-2", daysFromToday(-90), daysFromToday(-30), "Finished"]
+  ]);
+  const assignments = app.readTimelineAssignments(sourceSheet, app.normalizeCalendarExportOptions(timelineOptions), new Set());
+  const ics = app.buildIcsCalendar("Alice", app.buildCalendarEvents(assignments, [], []).projectEvents, false);
+
+  const dtStarts = ics.split("\r\n").filter(line => line.startsWith("DTSTART"));
+  assert.deepStrictEqual(dtStarts, [
+    `DTSTART;VALUE=DATE:${daysFromToday(-120).replace(/-/g, "")}`,
+    `DTSTART;VALUE=DATE:${daysFromToday(-90).replace(/-/g, "")}`
+  ]);
+});
+
+test("escapeIcsText escapes backslashes, separators and line breaks", () => {
+  assert.strictEqual(app.escapeIcsText("a\\b; c, d\r\ne\nf"), "a\\\\b\\; c\\, d\\ne\\nf");
+  assert.strictEqual(app.escapeIcsText(42), "42");
+});
+
+test("foldIcsLine folds lines longer than 75 octets without splitting a character", () => {
+  assert.strictEqual(app.foldIcsLine("SUMMARY:Short"), "SUMMARY:Short");
+
+  const ascii = app.foldIcsLine("X".repeat(160));
+  assert.deepStrictEqual(ascii.split("\r\n").map(line => line.length), [75, 75, 12]); // 75, then a space and 74, then a space and the last 11
+
+  const accented = app.foldIcsLine("SUMMARY:" + "é".repeat(40)); // 2 octets each
+  const lines = accented.split("\r\n");
+  lines.forEach(line => assert.ok(Buffer.byteLength(line, "utf8") <= 75));
+  assert.strictEqual(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join(""), "SUMMARY:" + "é".repeat(40));
+});
+
+test("buildIcsCalendar writes all-day events with exclusive end dates", () => {
+  const ics = app.buildIcsCalendar("Team, Planning", [
+    { person: "Alice", uid: "a@team-planning", summary: "Checkout", description: "Status: Done", url: "https://jira.example.com/browse/ABC-1",
+      startDate: app.fromDateKey("2025-09-01"), endDate: app.fromDateKey("2025-09-05"), isFree: false },
+    { uid: "m@team-planning", summary: "Milestone: Launch", description: "", url: null,
+      startDate: app.fromDateKey("2025-09-30"), endDate: app.fromDateKey("2025-09-30"), isFree: true }
+  ], true);
+
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  const lines = ics.split("\r\n").filter(line => !line.startsWith("DTSTAMP:") && !line.startsWith("SEQUENCE:")); // Both change with every export
+  assert.deepStrictEqual(lines, [
+    "BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Team Planning//Timeline Export//EN", "CALSCALE:GREGORIAN", "METHOD:PUBLISH",
+    "X-WR-CALNAME:Team\\, Planning",
+    "BEGIN:VEVENT", "UID:a@team-planning", "DTSTART;VALUE=DATE:20250901", "DTEND;VALUE=DATE:20250906", "SUMMARY:Alice: Checkout",
+    "TRANSP:OPAQUE", "DESCRIPTION:Status: Done", "URL:https://jira.example.com/browse/ABC-1", "END:VEVENT",
+    "BEGIN:VEVENT", "UID:m@team-planning", "DTSTART;VALUE=DATE:20250930", "DTEND;VALUE=DATE:20251001", "SUMMARY:Milestone: Launch",
+    "TRANSP:TRANSPARENT", "END:VEVENT",
+    "END:VCALENDAR", ""
+  ]);
+});
+
+test("buildCalendarEvents keys a person's repeated stints on their start dates, not their order", () => {
+  const stint = (person, key, start, end) => ({ person: person, key: key, summary: key, allocation: 100, status: "",
+    startDate: app.fromDateKey(start), endDate: app.fromDateKey(end) });
+  const milestone = (name, date) => ({ name: name, startDate: app.fromDateKey(date), endDate: app.fromDateKey(date) });
+  const uidsByStart = events => new Map(events.map(event => [`${event.person || ""} ${event.summary} ${app.toDateKey(event.startDate)}`, event.uid]));
+
+  const first = stint("Alice", "ABC-1", "2025-09-01", "2025-09-05");
+  const second = stint("Alice", "ABC-1", "2025-10-06", "2025-10-10");
+  const other = stint("Bob", "ABC-1", "2025-09-01", "2025-09-05");
+  const events = app.buildCalendarEvents([first, second, other], [milestone("Launch", "2025-09-30"), milestone("Launch", "2025-12-15")], []);
+  const uids = uidsByStart(events.projectEvents.concat(events.sharedEvents));
+  assert.strictEqual(new Set(uids.values()).size, 5);
+
+  const reordered = app.buildCalendarEvents([other, second, first], [milestone("Launch", "2025-12-15"), milestone("Launch", "2025-09-30")], []);
+  assert.deepStrictEqual(uidsByStart(reordered.projectEvents.concat(reordered.sharedEvents)), uids);
+
+  const withoutFirst = app.buildCalendarEvents([second, stint("Alice", "ABC-1", "2025-11-03", "2025-11-07")], [], []);
+  assert.strictEqual(withoutFirst.projectEvents[0].uid, uids.get("Alice ABC-1 2025-10-06"));
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for reading JIRA issues (Jira.js) against canned JIRA REST responses instead of a live server.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadProject } = require("./loadProject");
+
+const project = loadProject({
+  Utilities: { base64Encode: text => Buffer.from(text).toString("base64") }
+});
+const app = project.context;
+
+// Settings as getJiraSettings() returns them
+const JIRA_SETTINGS = {
+  apiUrl: "https://jira.example.com",
+  email: "",
+  apiToken: "secret",
+  startDateField: "customfield_10015",
+  endDateField: "duedate"
+};
+
+// GET /rest/api/2/issue/{key} bodies, trimmed to the requested fields
+const ISSUE_BODIES = {
+  "ABC-1": {
+    key: "ABC-1",
+    fields: { summary: "Checkout redesign", status: { name: "In Progress" }, customfield_10015: "2025-09-01", duedate: "2025-09-19" }
+  },
+  "ABC-2": {
+    key: "ABC-2",
+    fields: { summary: "Billing export", status: { name: "To Do" }, customfield_10015: null, duedate: "2025-10-03T17:00:00.000+0000" }
+  }
+};
+
+/**
+ * Makes a response like UrlFetchApp's HTTPResponse.
+ * @param {number} code The HTTP status.
+ * @param {string} body The response body.
+ * @returns {{getResponseCode: function(): number, getContentText: function(): string}} The response.
+ */
+function response(code, body) {
+  return { getResponseCode: () => code, getContentText: () => body };
+}
+
+/**
+ * Creates a fetchAll() that answers from canned responses and records the requests.
+ * @param {function(string): Object} respond Gives the response for an issue key.
+ * @returns {{fetchAll: function(Array<Object>): Array<Object>, batches: Array<Array<Object>>}} The function and the batches it was sent.
+ */
+function createFakeJira(respond) {
+  const batches = [];
+  return {
+    batches: batches,
+    fetchAll: requests => {
+      batches.push(requests);
+      return requests.map(request => respond(decodeURIComponent(request.url.match(/\/issue\/([^?]+)/)[1])));
+    }
+  };
+}
+
+/**
+ * Answers with ISSUE_BODIES, 404 for any other key.
+ * @param {string} key The issue key.
+ * @returns {Object} The response.
+ */
+function respondWithIssues(key) {
+  return ISSUE_BODIES[key] ? response(200, JSON.stringify(ISSUE_BODIES[key])) : response(404, "{\"errorMessages\":[\"Issue does not exist\"]}");
+}
+
+test("fetchJiraIssues reads the summary, status and mapped dates", () => {
+  const jira = createFakeJira(respondWithIssues);
+  const fetched = app.fetchJiraIssues(JIRA_SETTINGS, ["ABC-1", "ABC-2"], jira.fetchAll);
+
+  const first = fetched.issues.get("ABC-1");
+  assert.strictEqual(first.summary, "Checkout redesign");
+  assert.strictEqual(first.status, "In Progress");
+  assert.strictEqual(app.toDateKey(first.startDate), "2025-09-01");
+  assert.strictEqual(app.toDateKey(first.endDate), "2025-09-19");
+
+  const second = fetched.issues.get("ABC-2");
+  assert.strictEqual(second.startDate, null);
+  assert.strictEqual(app.toDateKey(second.endDate), "2025-10-03"); // The day of a timestamp
+  assert.deepStrictEqual(Array.from(fetched.missingKeys), []);
+  assert.deepStrictEqual(Array.from(fetched.errors), []);
+});
+
+test("fetchJiraIssues asks for the mapped fields with the token", () => {
+  const jira = createFakeJira(respondWithIssues);
+  app.fetchJiraIssues(JIRA_SETTINGS, ["ABC-1"], jira.fetchAll);
+
+  const request = jira.batches[0][0];
+  assert.strictEqual(request.url, "https://jira.example.com/rest/api/2/issue/ABC-1?fields=summary%2Cstatus%2Ccustomfield_10015%2Cduedate");
+  assert.strictEqual(request.headers.Authorization, "Bearer secret");
+  assert.strictEqual(request.muteHttpExceptions, true);
+
+  const cloudJira = createFakeJira(respondWithIssues);
+  app.fetchJiraIssues(Object.assign({}, JIRA_SETTINGS, { email: "me@example.com" }), ["ABC-1"], cloudJira.fetchAll);
+  assert.strictEqual(cloudJira.batches[0][0].headers.Authorization, "Basic " + Buffer.from("me@example.com:secret").toString("base64"));
+});
+
+test("fetchJiraIssues reports unknown keys, rejected credentials and bad responses", () => {
+  const jira = createFakeJira(key => {
+    if (key === "ABC-3") {
+      return response(403, "");
+    }
+    if (key === "ABC-4") {
+      return response(500, "");
+    }
+    if (key === "ABC-5") {
+      return response(200, "<html>Login</html>");
+    }
+    return respondWithIssues(key);
+  });
+  const fetched = app.fetchJiraIssues(JIRA_SETTINGS, ["ABC-1", "ABC-3", "ABC-4", "ABC-5", "ABC-9"], jira.fetchAll);
+
+  assert.deepStrictEqual(Array.from(fetched.issues.keys()), ["ABC-1"]);
+  assert.deepStrictEqual(Array.from(fetched.missingKeys), ["ABC-9"]);
+  assert.deepStrictEqual(Array.from(fetched.errors), [
+    "ABC-3: JIRA rejected the credentials (HTTP 403).",
+    "ABC-4: HTTP 500 from JIRA.",
+    "ABC-5: JIRA returned a response that is not JSON."
+  ]);
+});
+
+test("fetchJiraIssues sends the keys in batches", () => {
+  const jira = createFakeJira(() => response(404, ""));
+  const keys = [];
+  for (let i = 1; i <= 120; i++) {
+    keys.push(`ABC-${i}`);
+  }
+  const fetched = app.fetchJiraIssues(JIRA_SETTINGS, keys, jira.fetchAll);
+
+  assert.deepStrictEqual(jira.batches.map(batch => batch.length), [50, 50, 20]);
+  assert.strictEqual(fetched.missingKeys.length, 120);
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for the chart layout (Layout.js, Allocation.js), run in Node without any Apps Script service.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadProject } = require("./loadProject");
+
+const project = loadProject();
+const app = project.context;
+const DEFAULT_WORK_WEEK = project.run("DEFAULT_WORK_WEEK");
+const day = dateKey => app.fromDateKey(dateKey);
+
+/**
+ * Copies a value made in the project's context into a plain one, so assert.deepStrictEqual() compares it by content.
+ * @param {*} value The value; dates become their ISO strings.
+ * @returns {*} The copy.
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Makes an item covering the given days.
+ * @param {string} name The item's name, to tell items apart.
+ * @param {string} start The first day, YYYY-MM-DD.
+ * @param {string} end The last day, YYYY-MM-DD.
+ * @param {number} [allocation=100] The allocation in percent.
+ * @returns {{name: string, startDate: Date, endDate: Date, allocation: number}} The item.
+ */
+function item(name, start, end, allocation) {
+  return { name: name, startDate: day(start), endDate: day(end), allocation: allocation === undefined ? 100 : allocation };
+}
+
+/**
+ * Lists the item names in each packed row.
+ * @param {Array<Array<{name: string}>>} rows The rows returned by a packer.
+ * @returns {Array<Array<string>>} The names.
+ */
+function names(rows) {
+  return plain(rows.map(row => row.map(entry => entry.name)));
+}
+
+/**
+ * Lays out the headers over a date range, today in the middle of September 2025.
+ * @param {string} start The first day, YYYY-MM-DD.
+ * @param {string} end The last day, YYYY-MM-DD.
+ * @param {string} zoom The zoom level.
+ * @returns {Object} The headers returned by layoutTimelineHeaders().
+ */
+function headers(start, end, zoom) {
+  return app.layoutTimelineHeaders(day(start), day(end), 1, [], new Map(), zoom, DEFAULT_WORK_WEEK, day("2025-09-10"));
+}
+
+test("packRows places each item, in start order, on the first row it fits", () => {
+  const items = [item("late", "2025-09-10", "2025-09-12"), item("early", "2025-09-01", "2025-09-05"), item("middle", "2025-09-03", "2025-09-04")];
+  const rows = app.packRows(items, rowItems => rowItems.length < 2);
+  assert.deepStrictEqual(names(rows), [["early", "middle"], ["late"]]);
+});
+
+test("packNonOverlapping shares a row only between items that do not overlap", () => {
+  const rows = app.packNonOverlapping([
+    item("a", "2025-09-01", "2025-09-03"),
+    item("b", "2025-09-03", "2025-09-04"),
+    item("c", "2025-09-04", "2025-09-05")
+  ]);
+  assert.deepStrictEqual(names(rows), [["a", "c"], ["b"]]);
+});
+
+test("packByAllocation shares a row while the allocations add up to at most 100%", () => {
+  const rows = app.packByAllocation([
+    item("half", "2025-09-01", "2025-09-10", 50),
+    item("other half", "2025-09-05", "2025-09-12", 50),
+    item("too much", "2025-09-08", "2025-09-09", 10),
+    item("later", "2025-09-11", "2025-09-15", 100)
+  ]);
+  assert.deepStrictEqual(names(rows), [["half", "other half"], ["too much", "later"]]);
+});
+
+test("packByAllocation never lets a full-time item share a day", () => {
+  const rows = app.packByAllocation([item("full", "2025-09-01", "2025-09-05"), item("small", "2025-09-05", "2025-09-05", 10)]);
+  assert.deepStrictEqual(names(rows), [["full"], ["small"]]);
+});
+
+test("layoutTimelineHeaders at day zoom has one column per day", () => {
+  const headerInfo = headers("2025-09-01", "2025-09-14", "day");
+  assert.strictEqual(headerInfo.totalDataColumns, 14);
+  assert.strictEqual(headerInfo.totalHeaderColumns, 15);
+  assert.strictEqual(headerInfo.columnWidth, 20);
+  assert.strictEqual(headerInfo.dailyDateToSheetColMap.get("2025-09-01"), 2);
+  assert.strictEqual(headerInfo.dailyDateToSheetColMap.get("2025-09-14"), 15);
+  assert.strictEqual(headerInfo.buffer.todayColumn, 11);
+  // Row 2 labels each work week once
+  assert.strictEqual(headerInfo.buffer.values[1][1], "09/01-09/05");
+  assert.strictEqual(headerInfo.buffer.values[1][8], "09/08-09/12");
+});
+
+test("layoutTimelineHeaders at week zoom has one column per week, partial at the ends", () => {
+  const headerInfo = headers("2025-09-03", "2025-09-20", "week");
+  assert.strictEqual(headerInfo.totalDataColumns, 3);
+  assert.strictEqual(headerInfo.columnWidth, 45);
+  assert.deepStrictEqual(plain(headerInfo.buffer.values[1].slice(1)), ["09/01", "09/08", "09/15"]);
+  assert.deepStrictEqual(plain(headerInfo.columnDateRanges.get(2)), { firstDateIso: "2025-09-03", lastDateIso: "2025-09-07" });
+  assert.deepStrictEqual(plain(headerInfo.columnDateRanges.get(4)), { firstDateIso: "2025-09-15", lastDateIso: "2025-09-20" });
+  assert.strictEqual(headerInfo.dailyDateToSheetColMap.get("2025-09-14"), 3);
+  assert.strictEqual(headerInfo.buffer.todayColumn, 3);
+});
+
+test("layoutTimelineHeaders at month zoom has one column per calendar month", () => {
+  const headerInfo = headers("2025-08-20", "2025-10-05", "month");
+  assert.strictEqual(headerInfo.totalDataColumns, 3);
+  assert.strictEqual(headerInfo.columnWidth, 60);
+  assert.deepStrictEqual(plain(headerInfo.buffer.values[1].slice(1)), ["Aug 2025", "Sep 2025", "Oct 2025"]);
+  assert.deepStrictEqual(plain(headerInfo.columnDateRanges.get(3)), { firstDateIso: "2025-09-01", lastDateIso: "2025-09-30" });
+});
+
+test("layoutTimelineHeaders leaves the today column unset when the chart does not cover today", () => {
+  assert.strictEqual(headers("2025-10-01", "2025-10-10", "day").buffer.todayColumn, undefined);
+});
+
+test("getBarColumns finds a bar's columns and clamps dates outside the chart", () => {
+  const headerInfo = headers("2025-09-01", "2025-09-14", "day");
+  const columns = (start, end) => app.getBarColumns(item("bar", start, end), headerInfo.dailyDateToSheetColMap, headerInfo.totalHeaderColumns);
+  assert.deepStrictEqual(plain(columns("2025-09-03", "2025-09-05")), { startCol: 4, endCol: 6 });
+  assert.deepStrictEqual(plain(columns("2025-08-20", "2025-09-02")), { startCol: 2, endCol: 3 });
+  assert.deepStrictEqual(plain(columns("2025-09-12", "2025-09-30")), { startCol: 13, endCol: 15 });
+});
+
+test("snapToTimelineColumns widens an item to whole columns at week zoom", () => {
+  const headerInfo = headers("2025-09-01", "2025-09-28", "week");
+  const snapped = app.snapToTimelineColumns(item("bar", "2025-09-03", "2025-09-10"), headerInfo);
+  assert.strictEqual(app.toDateKey(snapped.startDate), "2025-09-01");
+  assert.strictEqual(app.toDateKey(snapped.endDate), "2025-09-14");
+  assert.strictEqual(snapped.name, "bar");
+});
+
+test("snapToTimelineColumns leaves an item alone at day zoom or outside the chart", () => {
+  const dayHeaders = headers("2025-09-01", "2025-09-14", "day");
+  const inside = item("inside", "2025-09-03", "2025-09-10");
+  const snapped = app.snapToTimelineColumns(inside, dayHeaders);
+  assert.strictEqual(app.toDateKey(snapped.startDate), "2025-09-03");
+  assert.strictEqual(app.toDateKey(snapped.endDate), "2025-09-10");
+
+  const outside = item("outside", "2025-10-01", "2025-10-02");
+  assert.strictEqual(app.snapToTimelineColumns(outside, headers("2025-09-01", "2025-09-28", "week")), outside);
+});
+
+test("markContinuingBar leaves a bar alone when the window did not clip it", () => {
+  const bar = { text: "Feature", note: "Status: Done" };
+  assert.strictEqual(app.markContinuingBar(bar, item("feature", "2025-09-01", "2025-09-05")), bar);
+});
+
+test("markContinuingBar marks the edges the window clipped", () => {
+  const clipped = item("feature", "2025-09-01", "2025-09-30");
+  assert.strictEqual(app.clipToDateWindow(clipped, day("2025-09-08"), day("2025-09-19")), true);
+  assert.strictEqual(app.toDateKey(clipped.startDate), "2025-09-08");
+  assert.strictEqual(app.toDateKey(clipped.endDate), "2025-09-19");
+
+  const bar = app.markContinuingBar({ text: "Feature", note: "Status: Done" }, clipped);
+  assert.strictEqual(bar.text, "◀ Feature ▶");
+  assert.strictEqual(bar.note, "Status: Done\nStarts 2025-09-01, before the chart.\nEnds 2025-09-30, after the chart.");
+
+  const startOnly = item("feature", "2025-09-01", "2025-09-10");
+  app.clipToDateWindow(startOnly, day("2025-09-08"), null);
+  assert.deepStrictEqual(plain(app.markContinuingBar({ text: "Feature" }, startOnly)),
+    { text: "◀ Feature", note: "Starts 2025-09-01, before the chart." });
+
+  const endOnly = item("feature", "2025-09-01", "2025-09-30");
+  app.clipToDateWindow(endOnly, null, day("2025-09-19"));
+  assert.deepStrictEqual(plain(app.markContinuingBar({ text: "Feature" }, endOnly)),
+    { text: "Feature ▶", note: "Ends 2025-09-30, after the chart." });
+});
+
+test("clipToDateWindow drops an item outside the window", () => {
+  assert.strictEqual(app.clipToDateWindow(item("before", "2025-08-01", "2025-08-05"), day("2025-09-01"), null), false);
+  assert.strictEqual(app.clipToDateWindow(item("after", "2025-10-01", "2025-10-05"), null, day("2025-09-30")), false);
+});
+
+test("layoutPeopleChart lays out a whole chart without touching a service", () => {
+  const calendar = app.createWorkingDayCalendar(new Map([["2025-09-01", "Labor Day"]]), new Map(), DEFAULT_WORK_WEEK);
+  const assignment = (person, key, start, end, allocation) => Object.assign(item(key, start, end, allocation),
+    { person: person, key: key, summary: key, status: "", isOverdue: false, colorGroup: "" });
+  const chartData = {
+    terms: [],
+    timelineOptions: app.normalizeTimelineOptions({ windowStart: day("2025-09-01"), windowEnd: day("2025-09-14") }),
+    assignments: [assignment("Alice", "A-1", "2025-09-01", "2025-09-05", 100), assignment("Alice", "A-2", "2025-09-03", "2025-09-12", 100),
+      assignment("Bob", "B-1", "2025-09-08", "2025-09-10", 50)],
+    milestoneData: [],
+    calendar: calendar,
+    dependencies: null,
+    teamsByPerson: null,
+    colorOverrides: new Map(),
+    skippedRows: new Set()
+  };
+
+  const plan = app.layoutPeopleChart(chartData, null, day("2025-09-10"));
+  assert.strictEqual(plan.buffer.numColumns, 15); // The window, not just the assignments
+  assert.deepStrictEqual(plain(plan.buffer.values.slice(2).map(row => row[0])), ["Alice", "Alice", "Bob"]);
+  assert.strictEqual(plan.frozenRows, 2);
+  assert.deepStrictEqual(plain(plan.warnings), ["'Alice' is allocated 200% at peak."]); // A-1 and A-2 overlap
+});
@@ -0,0 +1,57 @@
+/**
+ * Loads the Apps Script files into a Node vm context, so their functions can be tested outside Apps Script.
+ * Every top-level .js file is run in one shared global scope, as Apps Script does. Logger and Session are stubbed;
+ * SpreadsheetApp and the other services throw when touched, so a test fails if the code under test reaches for one.
+ * Dates made inside the context are not instances of Node's Date, so tests compare them as YYYY-MM-DD keys.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const PROJECT_DIR = path.join(__dirname, "..");
+
+// Services the tested code must not use
+const UNAVAILABLE_SERVICES = ["SpreadsheetApp", "PropertiesService", "UrlFetchApp", "DriveApp", "HtmlService",
+  "ContentService", "ScriptApp", "LockService", "Browser", "Sheets"];
+
+/**
+ * Creates a stand-in for a service that throws on any use.
+ * @param {string} name The service name, for the error message.
+ * @returns {Object} The stand-in.
+ */
+function createUnavailableService(name) {
+  return new Proxy({}, {
+    get(target, property) {
+      throw new Error(`${name}.${String(property)} is not available in the Node tests.`);
+    }
+  });
+}
+
+/**
+ * Loads the project.
+ * @param {Object} [globals] Extra globals, e.g. stubs for a service the test drives.
+ * @returns {{context: Object, logs: Array<string>, run: function(string): *}} The shared global scope (functions are
+ *     its properties), the messages passed to Logger.log(), and a way to evaluate code in the scope, e.g. to read a
+ *     top-level const.
+ */
+function loadProject(globals) {
+  const logs = [];
+  const context = {
+    Logger: { log: message => logs.push(String(message)) },
+    Session: { getScriptTimeZone: () => "UTC" }
+  };
+  UNAVAILABLE_SERVICES.forEach(name => {
+    context[name] = createUnavailableService(name);
+  });
+  Object.assign(context, globals);
+  vm.createContext(context);
+
+  fs.readdirSync(PROJECT_DIR).filter(file => file.endsWith(".js")).sort().forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(PROJECT_DIR, file), "utf8"), context, { filename: file });
+  });
+
+  return { context: context, logs: logs, run: code => vm.runInContext(code, context) };
+}
+
+module.exports = { loadProject };
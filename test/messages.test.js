@@ -0,0 +1,26 @@
+/**
+ * Tests for showing messages to the user (showMessage() in Code.js) when the script runs without a UI.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadProject } = require("./loadProject");
+
+test("showMessage logs the message when there is no dialog to show it in", () => {
+  const project = loadProject(); // Browser.msgBox() throws, as in a time-driven trigger
+  project.context.showMessage("Term errors", "Please fix the term data:\\n\\nT1 has no start date.");
+  project.context.showMessage("Info", "No valid project or milestone data found to export.");
+
+  const expected = ["Term errors: Please fix the term data:\n\nT1 has no start date.", "Info: No valid project or milestone data found to export."];
+  assert.deepStrictEqual(project.logs, expected);
+  assert.deepStrictEqual(Array.from(project.run("unshownMessages")), expected);
+});
+
+test("showMessage shows a dialog when there is a UI", () => {
+  const shown = [];
+  const project = loadProject({ Browser: { msgBox: (title, message) => shown.push([title, message]), Buttons: { OK: "ok" } } });
+  project.context.showMessage("Info", "Done.");
+
+  assert.deepStrictEqual(shown, [["Info", "Done."]]);
+  assert.deepStrictEqual(project.logs, []);
+});